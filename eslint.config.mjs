@@ -15,7 +15,7 @@ export default defineConfig([
   cspellESLintPluginRecommended,
   {
     rules: {
-      "@cspell/spellchecker": ["warn", { cspell: { words: ['knrdl'] } }],
+      "@cspell/spellchecker": ["warn", { cspell: { words: ['knrdl', 'contenteditable', 'formaction', 'rowspan', 'ontrue', 'onfalse'] } }],
     }
   }
 ])
@@ -0,0 +1,56 @@
+/**
+ * @overview prerendering of Phoebe.js pages with node.js and a DOM implementation like jsdom
+ * @see {@link https://github.com/knrdl/phoebejs|GitHub}
+ * @author knrdl
+ * @license MIT
+ */
+
+import { runInNewContext } from 'node:vm'
+import Phoebe from './phoebe.js'
+
+/** names of the language builtins (`Object`, `Promise`, ...), which must not be replaced by the ones of the window */
+const builtins = new Set(runInNewContext('Object.getOwnPropertyNames(globalThis)'))
+
+/**
+ * make the globals of a window (`document`, `HTMLElement`, `Event`, ...) available to phoebe.js
+ * @param {object} window 
+ * @returns {() => void} restore the previous globals
+ */
+function installGlobals(window) {
+    /** @type {Map<string, PropertyDescriptor | undefined>} */
+    const previous = new Map()
+    for (const key of [...Object.getOwnPropertyNames(window), 'window']) {
+        if (builtins.has(key) || previous.has(key)) continue
+        if (key in globalThis && !/^[A-Z]/.test(key)) continue  // keep the functions of node.js, e.g. setTimeout(), which the DOM implementation uses itself
+        const descriptor = Object.getOwnPropertyDescriptor(globalThis, key)
+        if (descriptor && !descriptor.configurable) continue
+        previous.set(key, descriptor)
+        Object.defineProperty(globalThis, key, { value: key === 'window' ? window : window[key], configurable: true, writable: true })
+    }
+
+    return () => {
+        for (const [key, descriptor] of previous)
+            if (descriptor) Object.defineProperty(globalThis, key, descriptor)
+            else delete globalThis[key]
+    }
+}
+
+/**
+ * render a page in the window of a DOM implementation and return its html
+ * @example
+ * import { JSDOM } from 'jsdom'
+ * const html = await prerender(new JSDOM(page, { url: 'https://example.org/' }).window, { items: ['Apples'] })
+ * @param {object} window e.g. `new JSDOM(html).window`, rendering must not run in parallel as it uses the globals
+ * @param {Record<string, any>} initialValues the same state as on the client
+ * @param {Record<string, any>} options options for `Phoebe()` and `maxRounds` (see `Phoebe.renderToString()`), `root` can be a css selector
+ * @returns {Promise<string>} the rendered html
+ */
+export async function prerender(window, initialValues, options = {}) {
+    const restoreGlobals = installGlobals(window)
+    try {
+        const root = typeof options.root === 'string' ? window.document.querySelector(options.root) : options.root
+        return await Phoebe.renderToString(initialValues, { ...options, root: root ?? window.document.body })
+    } finally {
+        restoreGlobals()
+    }
+}
@@ -6,486 +6,4231 @@
  * @version 0.0.0
  */
 
-// This library consists of a single function with two parts:
-// 1. utility functions: state management, code from template execution, attribute handling, rendering
-// 2. structural elements: <phoebe-if>, <phoebe-for>, ...
+// This library consists of two parts:
+// 1. the phoebe function creating an instance: state management, code from template execution, attribute handling, rendering
+// 2. structural elements: <phoebe-if>, <phoebe-for>, ... they are defined once and shared by all instances
 
 // todo: split in multiple files and use rollup
 
+/**
+ * @typedef {object} PhoebeOptions
+ * @property {Element} [root] the element to render, defaults to `document.body`
+ * @property {boolean} [csp] evaluate phoebe strings with a built-in interpreter instead of `new Function()` and `with`,
+ *  for pages with a Content-Security-Policy lacking `'unsafe-eval'`. Supports expressions, arrow functions, `if` and `let`/`const`
+ * @property {string[] | PersistOptions} [persist] state keys to save in a storage and restore on init
+ * @property {boolean | HistoryOptions} [history] record state changes for `$history.undo()` and `$history.redo()`
+ * @property {SyncOptions} [sync] keep the state in sync with other tabs or a server
+ * @property {{mode?: 'hash' | 'history', base?: string}} [router] how `<phoebe-route>` reads the location:
+ *  from the hash like `#/users/1` (default) or from the path via the History API, optionally below a `base` path
+ * @property {'sync' | 'microtask' | 'animationFrame' | number} [scheduler] when to render state changes: right away (e.g. for tests),
+ *  in a microtask, before the next repaint or at most every N milliseconds (default 33, i.e. 30fps)
+ * @property {Record<string, (value: any, ...args: any[]) => string>} [formatters] additional formatters for pipes like `${value | name:arg}`
+ * @property {string} [locale] locale of the formatters, defaults to the locale of `i18n` or the browser's language
+ * @property {I18nOptions} [i18n] translations for `t('key', params)` and `phoebe-t="key"`
+ * @property {HtmlAllowlist} [html] the tags and attributes `phoebe-html` keeps
+ * @property {(info: ErrorInfo) => void} [onError] called for errors of phoebe strings, e.g. to send them to an error tracker
+ * @property {boolean} [continueOnError] keep rendering the other attributes and elements after an error, instead of aborting the rendering
+ * @property {boolean} [devOverlay] highlight elements with errors and list the errors at the bottom of the page, for development
+ * @property {boolean} [prerender] render on the server side: skip transitions and mark the nodes for the hydration on the client,
+ *  set by `prerender()` of phoebe-ssr.js
+ */
+
+/**
+ * a change of the state, like a JSON Patch operation: `add` and `replace` set the value of the key at the end of the path, `remove` deletes it.
+ * array indices are set and deleted, not inserted or removed, so an array operation results in several patches
+ * @typedef {object} Patch
+ * @property {'add' | 'replace' | 'remove'} op
+ * @property {string} path a JSON Pointer like `/cart/items/0`
+ * @property {any} [value] a copy of the new value
+ */
+
+/**
+ * sends the changes of the state and receives the changes of others, e.g. by a WebSocket
+ * @typedef {object} SyncTransport
+ * @property {(patches: Patch[]) => void} send
+ * @property {(receive: (patches: Patch[]) => void) => (() => void) | void} connect called once, returns a function to disconnect
+ */
+
+/**
+ * @typedef {object} SyncOptions
+ * @property {string[]} [paths] only sync these state keys, nested keys like `cart.items` are supported
+ * @property {string} [channel] name of a BroadcastChannel to sync the tabs of a browser
+ * @property {SyncTransport} [transport] e.g. for a WebSocket or Server-Sent Events
+ */
+
+/**
+ * @typedef {object} HistoryOptions
+ * @property {string[]} [paths] only record changes of these state keys, nested keys like `diagram.shapes` are supported
+ * @property {number} [limit] the number of undo steps, 100 by default
+ * @property {string} [mergeWithin] merge changes following each other within this duration into one undo step, e.g. `1s` for typing
+ */
+
+/**
+ * reactive undo history, available as `$history` on the state
+ * @typedef {object} History
+ * @property {boolean} canUndo
+ * @property {boolean} canRedo
+ * @property {() => void} undo revert the last step
+ * @property {() => void} redo apply the last reverted step again
+ * @property {<T>(fn: () => T) => T} transaction record the changes of a function (also async) as one step, while an async function waits, changes of other handlers join the step
+ * @property {() => void} clear forget all steps
+ */
+
+/**
+ * @typedef {object} I18nOptions
+ * @property {string} locale the initial locale, e.g. `en` or `de-AT`
+ * @property {string} [fallbackLocale] for messages missing in the active locale
+ * @property {Record<string, object>} [messages] the message catalogs by locale, messages can be nested: `{ cart: { title: '...' } }`
+ * @property {string | ((locale: string) => Promise<object>)} [load] load missing catalogs, from an url like `/i18n/{locale}.json` or by a function
+ */
+
+/**
+ * reactive translation state, available as `$i18n` on the state
+ * @typedef {object} I18n
+ * @property {string} locale the active locale, can be set directly
+ * @property {Record<string, object>} messages the loaded message catalogs by locale
+ * @property {(locale: string) => Promise<void>} setLocale load the catalog of a locale and activate it afterwards
+ * @property {(key: string, params?: Record<string, any>) => string} t translate a message
+ */
+
+/**
+ * a destructuring pattern of `<phoebe-for var="...">`, either a variable name, an array or an object pattern
+ * @typedef {object} LoopPattern
+ * @property {string} [name]
+ * @property {(LoopPattern | null)[]} [items] of an array pattern, null for holes: `[, second]`
+ * @property {[string, LoopPattern][]} [props] of an object pattern: `{ id, name: label }`
+ * @property {LoopPattern | null} [rest] `...rest`
+ * @property {string | null} [defaultExpr] used for undefined values: `{ name = 'unknown' }`
+ */
+
+/**
+ * @typedef {object} HtmlAllowlist
+ * @property {string[]} [tags] replace the allowed tags, e.g. `[...Phoebe.htmlAllowlist.tags, 'details', 'summary']`
+ * @property {string[]} [attributes] replace the allowed attributes
+ */
+
+/**
+ * @typedef {object} ErrorInfo
+ * @property {any} error 
+ * @property {string | null} expr the phoebe string, null for errors outside of phoebe strings
+ * @property {string | null} attrName the attribute containing the phoebe string, `text` for the content of `<phoebe-text>`, null for errors outside of phoebe strings
+ * @property {Element | undefined} el 
+ * @property {string} path css selector of the element, e.g. `div#app > ul > li:nth-of-type(2)`
+ */
+
+/**
+ * @typedef {object} PersistOptions
+ * @property {string[]} paths state keys to persist, nested keys like `settings.theme` are supported
+ * @property {string} [key] name of the storage entry, defaults to `'phoebe'`
+ * @property {'localStorage' | 'sessionStorage' | 'indexedDB'} [storage] defaults to `'localStorage'`
+ * @property {number} [version] schema version of the persisted data, defaults to 1
+ * @property {Record<number, (data: Record<string, any>) => Record<string, any>>} [migrations] 
+ *  functions to upgrade stored data to the version of their key, e.g. `2: data => ...` migrates from version 1 to 2
+ * @property {number} [throttle] min delay between two writes in milliseconds, defaults to 500
+ */
+
+/**
+ * @typedef {object} ComponentDefinition
+ * @property {string} [template] html of the content
+ * @property {string} [templateId] id of a `<template>` element with the content, instead of `template`
+ * @property {(this: ComponentSelf, props: Record<string, any>) => object} [state] factory for the initial local state
+ * @property {Record<string, (this: ComponentSelf, ...args: any[]) => any>} [methods] functions available by name within the component
+ * @property {(this: ComponentSelf) => void} [mounted] called after the component has been rendered, again after each reinsertion
+ * @property {(this: ComponentSelf) => void} [unmounted] called after the component has been removed from the dom, e.g. hidden by a `<phoebe-if>`
+ */
+
+/**
+ * `this` of the methods and hooks of a registered component
+ * @typedef {object} ComponentSelf
+ * @property {Element} el the component element
+ * @property {Record<string, any>} props current values of the `phoebe:prop-xxx` attributes
+ * @property {object} local local state
+ */
+
+/**
+ * validation state of a `<form phoebe-form="...">`
+ * @typedef {object} FormState
+ * @property {boolean} $valid all fields are valid and no async validator is pending
+ * @property {boolean} $dirty a field has been changed by the user
+ * @property {boolean} $touched a field has lost the focus
+ * @property {boolean} $pending an async validator is running
+ * @property {Record<string, string>} $errors error messages by field name
+ * @property {Record<string, {valid: boolean, error: string | null, dirty: boolean, touched: boolean, pending: boolean}>} $fields state by field name
+ * @property {() => boolean} $validate validate and touch all fields, returns `$valid`
+ * @property {() => void} $reset reset the form and its state
+ */
+
+/**
+ * reactive location for `<phoebe-route>`, available as `$router` on the state
+ * @typedef {object} Router
+ * @property {string} path current path like `/users/1`
+ * @property {Record<string, string>} query current query parameters
+ * @property {(to: string) => Promise<boolean>} push navigate to a path, resolves to false if a guard has cancelled the navigation
+ * @property {(to: string) => Promise<boolean>} replace navigate without adding an entry to the browser history
+ * @property {() => void} back
+ * @property {(guard: NavigationGuard) => () => void} beforeEach add a navigation guard, returns a function to remove it
+ */
+
+/**
+ * called before each navigation: return false to cancel it or a path to redirect, also as promise
+ * @typedef {(to: {path: string, query: Record<string, string>}, from: {path: string, query: Record<string, string>}) => any} NavigationGuard
+ */
+
+/**
+ * @typedef {object} Effect something which has read reactive state and must be notified when that state changes
+ * @property {Set<Set<Effect>>} deps the dependency sets this effect is subscribed to
+ * @property {() => void} notify called on every change of a dependency
+ */
+
+/**
+ * @typedef {Effect & {el: Element, attrName: string | null}} DomEffect
+ * a directive (`attrName`) or the rendering of a structural element (`attrName` is null) which depends on state
+ */
+
+/**
+ * a write to a reactive object, which can be applied again or reverted
+ * @typedef {object} Mutation
+ * @property {object} target the raw object
+ * @property {any} key the property, the key of a Map or the value of a Set. `ITERATE_KEY` if the whole object changed (clear(), typed arrays)
+ * @property {boolean} hadKey whether the key existed before
+ * @property {any} oldValue the previous value, the entries before clear() or a copy of the bytes before
+ * @property {boolean} hasKey whether the key exists afterwards
+ * @property {any} value the new value or a copy of the bytes afterwards
+ */
+
+/**
+ * additional properties of dom nodes
+ * @typedef {Partial<{
+ *  boundModel: boolean
+ *  boundEvents: Set<string>
+ *  originalStyle: string
+ *  originalClass: string
+ *  loopContextValue: object
+ *  withContextValue: object
+ *  componentContextValue: object
+ *  formState: FormState
+ *  customError: string | null
+ *  validationRun: number
+ *  isValidating: boolean
+ *  contextAncestors: Array<Element> | false
+ *  effects: Map<string | null, DomEffect>
+ * }>} RegistryEntry
+ */
+
+/**
+ * internals of a phoebe instance, which the structural elements use for rendering
+ * @typedef {object} PhoebeInstance
+ * @property {Element} rootNode
+ * @property {object} state
+ * @property {{
+ *  get(expr: string, scope: object, _this: Element, attrName?: string | null): any
+ *  set(expr: string, value: any, scope: object, _this: Element, attrName?: string | null): void
+ *  exec(expr: string, scope: object, _this: Element, attrName?: string | null): void
+ * }} js
+ * @property {{
+ *  schedule(el: Element): void
+ *  buildScope(el: Element): object
+ *  flush(): void
+ *  nextTick(): Promise<void>
+ *  isIdle(): boolean
+ * }} renderer
+ * @property {Router} router
+ * @property {(value: object) => any} reactive make an object reactive
+ * @property {(el: Element) => RegistryEntry} registry
+ * @property {AbortSignal} signal aborted when the instance gets destroyed
+ * @property {boolean} isPrerendering rendering on the server side
+ */
+
+const utils = {
+    /**
+     * parses durations in secs or millisecs 
+     * @param {string|null} value e.g. "5s" or "50ms"
+     * @returns {number|undefined} value in millisecs
+     */
+    parseDuration(value) {
+        if (typeof value !== 'string') return undefined
+        const strVal = value.trim().toLowerCase()
+        const numVal = parseFloat(strVal)
+
+        if (Number.isFinite(numVal) && (strVal.endsWith('ms') || strVal.endsWith('s'))) {
+            const isSeconds = !strVal.endsWith('ms')
+            return isSeconds ? numVal * 1000 : numVal
+        } else return undefined
+    },
+
+    /**
+     * 
+     * @param {Function} func 
+     * @param {number} delay 
+     * @returns 
+     */
+    debounce(func, delay) {
+        let timer = null
+        return function (...args) {
+            clearTimeout(timer)
+            timer = setTimeout(() => func.apply(this, args), delay)
+        }
+    },
+
+    /**
+     * call the function at most once per delay, further calls within the delay are dropped
+     * @param {Function} func 
+     * @param {number} delay 
+     * @returns 
+     */
+    throttle(func, delay) {
+        let lastCall = -Infinity
+        return function (...args) {
+            const now = Date.now()
+            if (now - lastCall >= delay) {
+                lastCall = now
+                func.apply(this, args)
+            }
+        }
+    },
+
+    /**
+     * create a value on the first call and return the same value on further calls
+     * @template T
+     * @param {() => T} create 
+     * @returns {() => T}
+     */
+    lazy(create) {
+        let created = false
+        /** @type {T} */
+        let value
+        return () => {
+            if (!created) {
+                value = create()
+                created = true
+            }
+            return value
+        }
+    },
+
+    /**
+     * @param {any[]} path e.g. `['settings', 'theme', 'dark']`
+     * @param {string[][] | undefined} prefixes e.g. `[['settings', 'theme']]`, undefined for all paths
+     * @returns {boolean} whether the path starts with one of the prefixes
+     */
+    isWithin(path, prefixes) {
+        return !prefixes || prefixes.some(parts => parts.every((part, i) => String(path[i]) === part))
+    },
+
+    /**
+     * the value of a date or time input for a date, in local time
+     * @param {Date} date 
+     * @param {string} type `date`, `time` or `datetime-local`
+     * @returns {string}
+     */
+    formatDateInput(date, type) {
+        if (Number.isNaN(date.getTime())) return ''
+        /** @param {number} n */
+        const pad = n => ('0' + n).slice(-2)
+        const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+        const time = `${pad(date.getHours())}:${pad(date.getMinutes())}` + (date.getSeconds() ? ':' + pad(date.getSeconds()) : '')
+        return type === 'date' ? day : type === 'time' ? time : `${day}T${time}`
+    },
+
+    /**
+     * the date of a date or time input, in local time
+     * @param {string} value e.g. `2024-02-29`, `13:45` or `2024-02-29T13:45`
+     * @param {string} type `date`, `time` or `datetime-local`
+     * @param {any} previous the bound value, time inputs keep its day
+     * @returns {Date | null}
+     */
+    parseDateInput(value, type, previous) {
+        if (!value) return null
+        const [day, time = '00:00'] = type === 'time' ? ['', value] : value.split('T')
+        const [hours, minutes, seconds = 0] = time.split(':').map(Number)
+        const date = previous instanceof Date ? new Date(previous.getTime()) : new Date()
+        if (day) {
+            const [year, month, dayOfMonth] = day.split('-').map(Number)
+            date.setFullYear(year, month - 1, dayOfMonth)
+        }
+        date.setHours(hours, minutes, seconds, 0)
+        return date
+    },
+
+    /**
+     * check a key filter like `enter` or `ctrl.s` against a keyboard or mouse event
+     * @param {string} filter modifier keys (ctrl, alt, shift, meta) and at most one key, separated by dots
+     * @param {Event} event 
+     */
+    matchesKeys(filter, event) {
+        const ev = /**@type {KeyboardEvent} */ (event)
+        const aliases = { esc: 'Escape', space: ' ', up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight', del: 'Delete' }
+        return filter.split('.').every(part => {
+            if (part === 'ctrl' || part === 'alt' || part === 'shift' || part === 'meta') return ev[part + 'Key'] === true
+            return typeof ev.key === 'string' && (ev.key === aliases[part] || ev.key.toLowerCase() === part)
+        })
+    },
+
+    /**
+     * @param {any} value 
+     * @returns {boolean} whether the value is an object literal like `{a: 1}`
+     */
+    isPlainObject(value) {
+        if (value === null || typeof value !== 'object') return false
+        const proto = Object.getPrototypeOf(value)
+        return proto === Object.prototype || proto === null
+    },
+
+    /**
+     * the pattern of a route nested in a route with the given pattern, absolute paths are not nested
+     * @param {string} parentPattern e.g. `/users/:id/*`, empty for top level routes
+     * @param {string} path e.g. `settings`
+     */
+    joinRoutePath(parentPattern, path) {
+        if (path.startsWith('/') || !parentPattern) return '/' + path.replace(/^\/+/, '')
+        return parentPattern.replace(/\/?\*$/, '') + '/' + path
+    },
+
+    /**
+     * match a path against a route pattern like `/users/:id` or `/docs/*`
+     * @param {string} pattern `:name` matches a segment, a trailing `*` all remaining segments
+     * @param {string} path 
+     * @returns {Record<string, string> | null} the params, null if the path does not match
+     */
+    matchPath(pattern, path) {
+        const patternParts = pattern.split('/').filter(part => part !== '')
+        const pathParts = path.split('/').filter(part => part !== '')
+        /** @type {Record<string, string>} */
+        const params = {}
+        for (let i = 0; i < patternParts.length; i++) {
+            const part = patternParts[i]
+            if (part === '*' && i === patternParts.length - 1) return params
+            if (i >= pathParts.length) return null
+            if (part.startsWith(':')) params[part.substring(1)] = decodeURIComponent(pathParts[i])
+            else if (part !== pathParts[i]) return null
+        }
+        return patternParts.length === pathParts.length ? params : null
+    },
+
+    /**
+     * a readable css selector of an element, e.g. `div#app > ul > li:nth-of-type(2)`
+     * @param {Element} el 
+     * @returns {string}
+     */
+    domPath(el) {
+        const parts = []
+        for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+            if (node.id) {
+                parts.unshift(`${node.localName}#${node.id}`)
+                break
+            }
+            const sameTag = node.parentElement ? Array.from(node.parentElement.children).filter(child => child.localName === node.localName) : []
+            parts.unshift(sameTag.length > 1 ? `${node.localName}:nth-of-type(${sameTag.indexOf(node) + 1})` : node.localName)
+        }
+        return parts.join(' > ')
+    },
+
+    /**
+     * compare the own enumerable properties of two objects
+     * @param {object} a 
+     * @param {object} b 
+     */
+    shallowEqual(a, b) {
+        const keysA = Object.keys(a)
+        if (keysA.length !== Object.keys(b).length) return false
+        return keysA.every(key => Object.is(a[key], b[key]))
+    }
+}
+
+
+/** @type {Map<string, LoopPattern>} */
+const loopPatterns = new Map()
+
+/**
+ * parse a destructuring pattern like `[key, value]` or `{ id, tags: [first, ...others], title = 'untitled' }`
+ * @param {string} source 
+ * @returns {LoopPattern}
+ */
+function parseLoopPattern(source) {
+    if (loopPatterns.has(source)) return loopPatterns.get(source)
+    let pos = 0
+
+    const fail = () => { throw new SyntaxError(`Phoebe.js: invalid <phoebe-for> variable "${source}" at position ${pos}`) }
+    const skip = () => { while (/\s/.test(source[pos] ?? '')) pos++ }
+
+    /** @param {string} token */
+    function accept(token) {
+        skip()
+        if (!source.startsWith(token, pos)) return false
+        pos += token.length
+        return true
+    }
+
+    function identifier() {
+        skip()
+        const match = /^[A-Za-z_$][\w$]*/.exec(source.substring(pos))
+        if (!match) fail()
+        pos += match[0].length
+        return match[0]
+    }
+
+    /** the expression after `=` up to the next `,`, `]` or `}` on the same level */
+    function defaultExpr() {
+        if (!accept('=')) return null
+        const start = pos
+        let depth = 0
+        /** @type {string | null} */
+        let quote = null
+        for (; pos < source.length; pos++) {
+            const char = source[pos]
+            if (quote) {
+                if (char === '\\') pos++
+                else if (char === quote) quote = null
+            } else if ('\'"`'.includes(char)) quote = char
+            else if ('([{'.includes(char)) depth++
+            else if (depth === 0 && ',]}'.includes(char)) break
+            else if (')]}'.includes(char)) depth--
+        }
+        return source.substring(start, pos).trim() || fail()
+    }
+
+    /** @returns {LoopPattern} */
+    function target() {
+        if (accept('[')) {
+            /** @type {LoopPattern} */
+            const pattern = { items: [], rest: null }
+            while (!accept(']')) {
+                if (accept(',')) {
+                    pattern.items.push(null)
+                    continue
+                }
+                if (accept('...')) pattern.rest = target()
+                else pattern.items.push({ ...target(), defaultExpr: defaultExpr() })
+                if (!accept(',')) {
+                    if (!accept(']')) fail()
+                    break
+                }
+            }
+            return pattern
+        }
+        if (accept('{')) {
+            /** @type {LoopPattern} */
+            const pattern = { props: [], rest: null }
+            while (!accept('}')) {
+                if (accept('...')) pattern.rest = { name: identifier() }
+                else {
+                    const key = identifier()
+                    const prop = accept(':') ? target() : { name: key }
+                    pattern.props.push([key, { ...prop, defaultExpr: defaultExpr() }])
+                }
+                if (!accept(',')) {
+                    if (!accept('}')) fail()
+                    break
+                }
+            }
+            return pattern
+        }
+        return { name: identifier() }
+    }
+
+    const pattern = target()
+    skip()
+    if (pos < source.length) fail()
+    loopPatterns.set(source, pattern)
+    return pattern
+}
+
+/**
+ * assign the variables of a destructuring pattern
+ * @param {LoopPattern} pattern 
+ * @param {any} value 
+ * @param {Record<string, any>} ctx receives the variables
+ * @param {(expr: string) => any} evalDefault evaluates default values
+ */
+function bindLoopPattern(pattern, value, ctx, evalDefault) {
+    if (value === undefined && pattern.defaultExpr) value = evalDefault(pattern.defaultExpr)
+    if (pattern.name) ctx[pattern.name] = value
+    else if (pattern.items) {
+        const values = Array.from(value ?? [])
+        pattern.items.forEach((item, i) => item && bindLoopPattern(item, values[i], ctx, evalDefault))
+        if (pattern.rest) bindLoopPattern(pattern.rest, values.slice(pattern.items.length), ctx, evalDefault)
+    } else {
+        for (const [key, prop] of pattern.props) bindLoopPattern(prop, value?.[key], ctx, evalDefault)
+        if (pattern.rest) {
+            const rest = { ...value }
+            for (const [key] of pattern.props) delete rest[key]
+            bindLoopPattern(pattern.rest, rest, ctx, evalDefault)
+        }
+    }
+}
+
+/** @type {Required<HtmlAllowlist>} the default tags and attributes of `phoebe-html` */
+const htmlAllowlist = {
+    tags: ['a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'dd', 'del', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'small', 'span',
+        'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'],
+    attributes: ['alt', 'cite', 'class', 'colspan', 'datetime', 'dir', 'height', 'href', 'lang', 'rowspan', 'src', 'start', 'title', 'width']
+}
+
+/**
+ * turn untrusted html into a fragment with the allowed tags and attributes only.
+ * Disallowed elements are replaced by their content, scripts and the like are dropped completely.
+ * Event handlers, `phoebe*` attributes and `<phoebe-*>` elements are never kept, so the html can't become template code
+ * @param {string} html 
+ * @param {HtmlAllowlist} allowlist 
+ * @returns {DocumentFragment}
+ */
+function sanitizeHtml(html, allowlist) {
+    const tags = new Set(allowlist.tags ?? htmlAllowlist.tags)
+    const attributes = new Set(allowlist.attributes ?? htmlAllowlist.attributes)
+    const droppedTags = ['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'textarea', 'title', 'svg', 'math']
+    const urlAttributes = ['href', 'src', 'cite', 'action', 'formaction', 'poster']
+
+    const template = document.createElement('template')  // parsed inert: no scripts run, no images load
+    template.innerHTML = html
+
+    /** @param {Node} parent */
+    function clean(parent) {
+        for (const node of Array.from(parent.childNodes)) {
+            if (node instanceof Element) {
+                const tag = node.localName
+                if (droppedTags.includes(tag)) {
+                    node.remove()
+                    continue
+                }
+                clean(node)
+                if (!tags.has(tag) || tag.startsWith('phoebe')) {
+                    node.replaceWith(...Array.from(node.childNodes))
+                    continue
+                }
+                for (const attrName of node.getAttributeNames()) {
+                    const value = /**@type {string!}*/(node.getAttribute(attrName)).split('').filter(char => char > ' ').join('')  // as browsers ignore whitespace and control characters in urls
+                    const isSafeUrl = /^(?:https?:|mailto:|tel:|[^:]*$|[^:]*[/?#])/i.test(value)  // no javascript: or data:
+                    if (!attributes.has(attrName) || attrName.startsWith('on') || attrName.startsWith('phoebe') ||
+                        (urlAttributes.includes(attrName) && !isSafeUrl))
+                        node.removeAttribute(attrName)
+                }
+            } else if (node.nodeType !== Node.TEXT_NODE) node.remove()  // comments, processing instructions
+        }
+    }
+
+    clean(template.content)
+    return template.content
+}
+
+/** @type {Map<string, any>} Intl formatters by constructor, locale and options, as creating them is expensive */
+const intlCache = new Map()
+
+/**
+ * @param {any} Constructor e.g. Intl.NumberFormat
+ * @param {string | undefined} locale 
+ * @param {object} options 
+ */
+function intl(Constructor, locale, options) {
+    const key = `${Constructor.name}|${locale}|${JSON.stringify(options)}`
+    if (!intlCache.has(key)) intlCache.set(key, new Constructor(locale, options))
+    return intlCache.get(key)
+}
+
+/**
+ * @param {Date | number | string} value 
+ */
+function toDate(value) {
+    return value instanceof Date ? value : new Date(value)
+}
+
+/**
+ * formatters for pipes like `${price | currency:'EUR'}`, called with the value and the arguments.
+ * `this.locale` is the locale of the instance. `Phoebe.formatter()` adds more
+ * @type {Record<string, (this: {locale: string | undefined}, value: any, ...args: any[]) => string>}
+ */
+const formatters = {
+    number(value, maximumFractionDigits = 3) {
+        return intl(Intl.NumberFormat, this.locale, { maximumFractionDigits }).format(value)
+    },
+    currency(value, currency = 'EUR') {
+        return intl(Intl.NumberFormat, this.locale, { style: 'currency', currency }).format(value)
+    },
+    percent(value, maximumFractionDigits = 0) {
+        return intl(Intl.NumberFormat, this.locale, { style: 'percent', maximumFractionDigits }).format(value)
+    },
+    date(value, dateStyle = 'medium') {
+        return intl(Intl.DateTimeFormat, this.locale, { dateStyle }).format(toDate(value))
+    },
+    time(value, timeStyle = 'short') {
+        return intl(Intl.DateTimeFormat, this.locale, { timeStyle }).format(toDate(value))
+    },
+    datetime(value, dateStyle = 'medium', timeStyle = 'short') {
+        return intl(Intl.DateTimeFormat, this.locale, { dateStyle, timeStyle }).format(toDate(value))
+    },
+    relativeTime(value, unit = undefined) {  // e.g. "3 days ago", "in 2 hours"
+        const seconds = (toDate(value).getTime() - Date.now()) / 1000
+        /** @type {[string, number][]} */
+        const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]]
+        const [name, size] = units.find(([name, size]) => unit ? name === unit : Math.abs(seconds) >= size) ?? units[units.length - 1]
+        return intl(/** @type {any} */(Intl).RelativeTimeFormat, this.locale, { numeric: 'auto' }).format(Math.round(seconds / size), name)
+    },
+    list(value, type = 'conjunction') {  // e.g. "a, b and c"
+        return intl(/** @type {any} */(Intl).ListFormat, this.locale, { type }).format(Array.from(value, String))
+    },
+    uppercase(value) {
+        return String(value).toLocaleUpperCase(this.locale)
+    },
+    lowercase(value) {
+        return String(value).toLocaleLowerCase(this.locale)
+    }
+}
+
+/**
+ * rewrite the pipes of an expression like `price | currency:'EUR'` to `$format('currency', price, 'EUR')`, also within template literals.
+ * a single `|` followed by a name on the top level of an expression or a `${...}` placeholder is a pipe, the bitwise or with a name needs brackets: `(a | b)`, `a | 0` stays a bitwise or
+ * @param {string} expr 
+ * @returns {string}
+ */
+function transformPipes(expr) {
+    let pos = 0
+
+    /** @param {string} quote */
+    function string(quote) {
+        const start = pos++
+        while (pos < expr.length && expr[pos] !== quote) pos += expr[pos] === '\\' ? 2 : 1
+        pos++
+        return expr.substring(start, pos)
+    }
+
+    function template() {
+        let result = expr[pos++]
+        while (pos < expr.length && expr[pos] !== '`') {
+            if (expr[pos] === '\\') {
+                result += expr.substring(pos, pos + 2)
+                pos += 2
+            } else if (expr.startsWith('${', pos)) {
+                pos += 2
+                result += '${' + expression() + '}'
+                pos++
+            } else result += expr[pos++]
+        }
+        pos++
+        return result + '`'
+    }
+
+    /** a regex literal like `/a|b/i`, its `|` is not a pipe */
+    function regex() {
+        const start = pos++
+        let isInClass = false
+        while (pos < expr.length && (expr[pos] !== '/' || isInClass)) {
+            if (expr[pos] === '\\') pos++
+            else if (expr[pos] === '[') isInClass = true
+            else if (expr[pos] === ']') isInClass = false
+            pos++
+        }
+        pos++
+        while (/[a-z]/.test(expr[pos] ?? '')) pos++  // flags
+        return expr.substring(start, pos)
+    }
+
+    /**
+     * whether a `/` starts a regex literal instead of being a division, i.e. it follows an operator and not a value
+     * @param {string} before the operand read so far
+     */
+    function isRegexStart(before) {
+        if (expr[pos + 1] === '/' || expr[pos + 1] === '*') return false  // comment
+        const text = before.replace(/\s+$/, '')
+        return text === '' || '(,=:[!&|?{};+-*%<>~^'.includes(text[text.length - 1]) || /\b(typeof|return|void|delete|in|of|instanceof|new)$/.test(text)
+    }
+
+    /** whether the character at the current position is a pipe, i.e. a single `|` followed by a formatter name */
+    function isPipe() {
+        if (expr[pos] !== '|' || expr[pos + 1] === '|' || expr[pos + 1] === '=' || expr[pos - 1] === '|') return false
+        return /^\s*[A-Za-z_$]/.test(expr.substring(pos + 1))
+    }
+
+    /**
+     * read until a pipe, a stop character or an unmatched closing bracket on the top level
+     * @param {string} stops e.g. `:` for the arguments of a pipe, the `:` of a ternary within the operand doesn't stop
+     */
+    function operand(stops) {
+        let result = ''
+        let depth = 0
+        let ternaries = 0  // the `?` on the top level still waiting for their `:`
+        while (pos < expr.length) {
+            const char = expr[pos]
+            if (char === '"' || char === "'") {
+                result += string(char)
+                continue
+            }
+            if (char === '`') {
+                result += template()
+                continue
+            }
+            if (char === '/' && isRegexStart(result)) {
+                result += regex()
+                continue
+            }
+            if (depth === 0 && char === '?' && expr[pos + 1] === '?') {
+                result += '??'
+                pos += 2
+                continue
+            }
+            if (depth === 0 && char === '?' && (expr[pos + 1] !== '.' || /\d/.test(expr[pos + 2] ?? ''))) ternaries++  // not optional chaining
+            else if (depth === 0 && char === ':' && ternaries > 0) ternaries--
+            else if (depth === 0 && (stops.includes(char) || ')]}'.includes(char) || isPipe())) break
+            if ('([{'.includes(char)) depth++
+            else if (')]}'.includes(char)) depth--
+            result += char
+            pos++
+        }
+        return result
+    }
+
+    /** an expression followed by pipes */
+    function expression() {
+        let result = operand('')
+        while (isPipe()) {
+            const [match, name] = /^\|\s*([A-Za-z_$][\w$]*)\s*/.exec(expr.substring(pos))
+            pos += match.length
+            const args = []
+            while (expr[pos] === ':') {
+                pos++
+                args.push(operand(':'))
+            }
+            result = `$format(${JSON.stringify(name)}, ${result}${args.map(arg => ', ' + arg).join('')})`
+        }
+        return result
+    }
+
+    const result = expression()
+    return result + expr.substring(pos)  // after an unmatched bracket, for the syntax error
+}
+
+/**
+ * format an ICU style message: `{name}` placeholders, `{n, number}`, `{d, date}`,
+ * `{count, plural, =0 {no items} one {# item} other {# items}}` and `{gender, select, female {she} other {they}}`
+ * @param {string} message 
+ * @param {Record<string, any>} params 
+ * @param {string} locale 
+ * @returns {string}
+ */
+function formatMessage(message, params, locale) {
+    let pos = 0
+
+    /** @param {RegExp} regex matched at the current position */
+    function read(regex) {
+        const match = regex.exec(message.substring(pos))
+        pos += match ? match[0].length : 0
+        return match ? match[1] ?? match[0] : ''
+    }
+
+    /**
+     * text until an unmatched `}`
+     * @param {number | undefined} count replaces `#` within plural messages
+     */
+    function text(count) {
+        let result = ''
+        while (pos < message.length && message[pos] !== '}') {
+            if (message[pos] === '{') result += placeholder(count)
+            else if (message[pos] === '#' && count !== undefined) {
+                result += intl(Intl.NumberFormat, locale, {}).format(count)
+                pos++
+            } else result += message[pos++]
+        }
+        return result
+    }
+
+    /** @param {number | undefined} count */
+    function placeholder(count) {
+        pos++  // {
+        const name = read(/^\s*([^,}\s]+)\s*/)
+        const value = params[name]
+        if (message[pos] === '}') {
+            pos++
+            return value === undefined || value === null ? '' : String(value)
+        }
+        pos++  // ,
+        const type = read(/^\s*(\w+)\s*/)
+
+        if (type === 'plural' || type === 'select') {
+            if (message[pos] === ',') pos++
+            /** @type {Record<string, string>} */
+            const options = {}
+            while (pos < message.length && read(/^\s*/) !== null && message[pos] !== '}') {
+                const selector = read(/^([^\s{]+)\s*/)
+                pos++  // {
+                options[selector] = text(type === 'plural' ? value : count)
+                pos++  // }
+            }
+            pos++  // }
+            if (type === 'select') return options[String(value)] ?? options.other ?? ''
+            return options['=' + value] ?? options[intl(/** @type {any} */(Intl).PluralRules, locale, {}).select(value)] ?? options.other ?? ''
+        }
+
+        const style = message[pos] === ',' ? (pos++, read(/^\s*([^}]*?)\s*(?=})/)) : ''
+        pos++  // }
+        if (type === 'number') return formatters.number.call({ locale }, value, style ? Number(style) : undefined)
+        if (type === 'date') return formatters.date.call({ locale }, value, style || undefined)
+        return String(value)
+    }
+
+    return text(undefined)
+}
+
+
+/** @type {WeakMap<CustomElementRegistry, {PhoebeElement: any, PhoebeComponent: any}>} element classes by the registry they are defined in */
+const definedElements = new WeakMap()
+
+/** @type {Map<string, ComponentDefinition>} components registered by `Phoebe.component()` by their tag name */
+const components = new Map()
+
+/** @type {WeakMap<Element, Element>} filled `<slot>` elements by their `<phoebe-component>` */
+const slotOwners = new WeakMap()
+
+/** @type {Map<Element, PhoebeInstance>} all phoebe instances by their root node */
+const instances = new Map()
+
+/**
+ * find the instance an element belongs to: the one with the closest root node
+ * @param {Element} el 
+ * @returns {PhoebeInstance | undefined}
+ */
+function instanceOf(el) {
+    for (let node = el; node; node = node.parentElement)
+        if (instances.has(node)) return instances.get(node)
+    return undefined
+}
+
+
 /**
  * create the phoebe instance
  * @param {Record<string, any>} initialValues 
- * @param {Element} rootNode 
+ * @param {Element | PhoebeOptions} options the root element or options
  */
-function Phoebe(initialValues, rootNode = undefined) {
-    rootNode = rootNode ?? document.body
+function Phoebe(initialValues, options = undefined) {
+    /** @type {PhoebeOptions} */
+    const config = options instanceof Element ? { root: options } : (options ?? {})
+    const rootNode = config.root ?? document.body
+
+    if (instances.has(rootNode))
+        throw new Error('Phoebe.js: the root node is already rendered by another instance, call $destroy() on it first')
+
+    const { PhoebeElement } = defineElements()
+
+    /** aborted by `$destroy()` to remove all event listeners and stop all timers */
+    const lifecycle = new AbortController()
+
+    /** a registry to keep additional properties for dom nodes */
+    const registry = (() => {
+        /**@type {WeakMap<Element, object>} */
+        const map = new WeakMap()
+
+        /**
+         * @param {Element} el 
+         * @returns {RegistryEntry}
+         */
+        return function (el) {
+            if (!map.has(el)) map.set(el, {})
+            return map.get(el)
+        }
+    })()
+
+
+    /**
+     * @typedef {object} Token
+     * @property {'num'|'str'|'template'|'regex'|'name'|'op'|'eof'} type
+     * @property {any} value
+     * @property {number} pos position in the source, for error messages
+     * @property {boolean} nl whether a line break precedes the token (automatic semicolon insertion)
+     */
+
+    /**
+     * @typedef {{type: string, [prop: string]: any}} AstNode
+     */
+
+    /**
+     * interpreter for the javascript subset of phoebe strings. used instead of `new Function()` and `with` in csp mode,
+     * i.e. on pages with a Content-Security-Policy lacking `'unsafe-eval'`
+     */
+    const interpreter = (() => {
+        const PUNCTUATORS = [
+            '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+            '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+            '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%', '&', '|', '^', '!', '~', '?', ':', '=', '.'
+        ]
+
+        const ASSIGNMENT_OPERATORS = ['=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??=']
+
+        /** operator precedences, `**` is right associative */
+        const BINARY_PRECEDENCE = {
+            '??': 1, '||': 2, '&&': 3, '|': 4, '^': 5, '&': 6,
+            '==': 7, '!=': 7, '===': 7, '!==': 7,
+            '<': 8, '>': 8, '<=': 8, '>=': 8, 'instanceof': 8, 'in': 8,
+            '<<': 9, '>>': 9, '>>>': 9,
+            '+': 10, '-': 10,
+            '*': 11, '/': 11, '%': 11,
+            '**': 12
+        }
+
+        /** @type {Record<string, (a: any, b: any) => any>} */
+        const BINARY_OPERATIONS = {
+            '==': (a, b) => a == b, '!=': (a, b) => a != b, '===': (a, b) => a === b, '!==': (a, b) => a !== b,
+            '<': (a, b) => a < b, '>': (a, b) => a > b, '<=': (a, b) => a <= b, '>=': (a, b) => a >= b,
+            'instanceof': (a, b) => a instanceof b, 'in': (a, b) => a in b,
+            '<<': (a, b) => a << b, '>>': (a, b) => a >> b, '>>>': (a, b) => a >>> b,
+            '+': (a, b) => a + b, '-': (a, b) => a - b, '*': (a, b) => a * b, '/': (a, b) => a / b, '%': (a, b) => a % b, '**': (a, b) => a ** b,
+            '|': (a, b) => a | b, '^': (a, b) => a ^ b, '&': (a, b) => a & b,
+        }
+
+        /** words which cannot be used as variable names */
+        const RESERVED_WORDS = new Set([
+            'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'export', 'extends',
+            'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'return', 'super', 'switch', 'throw',
+            'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'await', 'async'
+        ])
+
+        /** after these words a `/` starts a regex literal instead of a division */
+        const REGEX_PRECEDING_WORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'new', 'delete', 'void', 'case'])
+
+        /** marks a short-circuited optional chain, e.g. `a?.b.c` with `a` being null */
+        const SHORT_CIRCUIT = Symbol('short-circuit')
+
+        /**
+         * @param {string} src 
+         * @param {number} start 
+         * @param {boolean} isTemplateExpr stop at the `}` closing a `${...}` placeholder
+         * @returns {{tokens: Token[], end: number}}
+         */
+        function tokenize(src, start = 0, isTemplateExpr = false) {
+            /** @type {Token[]} */
+            const tokens = []
+            let pos = start
+            let braceDepth = 0
+            let nl = false
+
+            /** @param {string} msg */
+            const fail = msg => { throw new SyntaxError(`Phoebe.js: ${msg} at position ${pos} in: ${src}`) }
+
+            /** @param {Token['type']} type @param {any} value @param {number} tokenPos */
+            const push = (type, value, tokenPos) => {
+                tokens.push({ type, value, pos: tokenPos, nl })
+                nl = false
+            }
+
+            /** read an escape sequence in a string or template literal, `pos` points to the backslash */
+            const readEscape = () => {
+                const ch = src[pos + 1]
+                pos += 2
+                switch (ch) {
+                    case 'n': return '\n'
+                    case 't': return '\t'
+                    case 'r': return '\r'
+                    case 'b': return '\b'
+                    case 'f': return '\f'
+                    case 'v': return '\v'
+                    case '0': return '\0'
+                    case '\r': if (src[pos] === '\n') pos++; return ''  // line continuation
+                    case '\n': return ''
+                    case 'x': {
+                        const hex = src.substring(pos, pos + 2)
+                        if (!/^[0-9a-fA-F]{2}$/.test(hex)) fail('invalid hexadecimal escape sequence')
+                        pos += 2
+                        return String.fromCharCode(parseInt(hex, 16))
+                    }
+                    case 'u': {
+                        let hex
+                        if (src[pos] === '{') {
+                            const end = src.indexOf('}', pos)
+                            hex = end < 0 ? '' : src.substring(pos + 1, end)
+                            pos = end + 1
+                        } else {
+                            hex = src.substring(pos, pos + 4)
+                            pos += 4
+                        }
+                        if (!/^[0-9a-fA-F]{1,6}$/.test(hex)) fail('invalid unicode escape sequence')
+                        return String.fromCodePoint(parseInt(hex, 16))
+                    }
+                    case undefined: return fail('unterminated string')
+                    default: return ch
+                }
+            }
+
+            const isRegexAllowed = () => {
+                const prev = tokens[tokens.length - 1]
+                if (!prev) return true
+                if (prev.type === 'op') return ![')', ']', '}'].includes(prev.value)
+                return prev.type === 'name' && REGEX_PRECEDING_WORDS.has(prev.value)
+            }
+
+            while (true) {
+                const ch = src[pos]
+                const tokenPos = pos
+
+                if (ch === undefined) {
+                    if (isTemplateExpr) fail('unterminated template literal')
+                    push('eof', null, pos)
+                    return { tokens, end: pos }
+                } else if (/[\n\r\u2028\u2029]/.test(ch)) {
+                    nl = true
+                    pos++
+                } else if (/\s/.test(ch)) {
+                    pos++
+                } else if (src.startsWith('//', pos)) {
+                    const end = src.indexOf('\n', pos)
+                    pos = end < 0 ? src.length : end
+                } else if (src.startsWith('/*', pos)) {
+                    const end = src.indexOf('*/', pos + 2)
+                    if (end < 0) fail('unterminated comment')
+                    if (src.substring(pos, end).includes('\n')) nl = true
+                    pos = end + 2
+                } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(src[pos + 1] ?? ''))) {
+                    const match = /^(?:0[xX][0-9a-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:[0-9][0-9_]*\.?[0-9_]*|\.[0-9][0-9_]*)(?:[eE][+-]?[0-9]+)?)/.exec(src.substring(pos))
+                    const value = Number(match[0].replace(/_/g, ''))
+                    if (Number.isNaN(value)) fail('invalid number')
+                    pos += match[0].length
+                    push('num', value, tokenPos)
+                } else if (/[A-Za-z_$\u00c0-\uffff]/.test(ch)) {
+                    const match = /^[A-Za-z0-9_$\u00c0-\uffff]+/.exec(src.substring(pos))
+                    pos += match[0].length
+                    push('name', match[0], tokenPos)
+                } else if (ch === '"' || ch === "'") {
+                    let value = ''
+                    pos++
+                    while (src[pos] !== ch) {
+                        if (src[pos] === undefined || src[pos] === '\n') fail('unterminated string')
+                        if (src[pos] === '\\') value += readEscape()
+                        else value += src[pos++]
+                    }
+                    pos++
+                    push('str', value, tokenPos)
+                } else if (ch === '`') {
+                    /** @type {string[]} */
+                    const strings = []
+                    /** @type {Token[][]} */
+                    const exprs = []
+                    let value = ''
+                    pos++
+                    while (src[pos] !== '`') {
+                        if (src[pos] === undefined) fail('unterminated template literal')
+                        if (src[pos] === '\\') value += readEscape()
+                        else if (src[pos] === '$' && src[pos + 1] === '{') {
+                            strings.push(value)
+                            value = ''
+                            const placeholder = tokenize(src, pos + 2, true)
+                            exprs.push(placeholder.tokens)
+                            pos = placeholder.end
+                        } else value += src[pos++]
+                    }
+                    strings.push(value)
+                    pos++
+                    push('template', { strings, exprs }, tokenPos)
+                } else if (ch === '/' && isRegexAllowed()) {
+                    let pattern = ''
+                    let inClass = false
+                    pos++
+                    while (src[pos] !== '/' || inClass) {
+                        if (src[pos] === undefined || src[pos] === '\n') fail('unterminated regular expression')
+                        if (src[pos] === '\\') pattern += src[pos++]
+                        else if (src[pos] === '[') inClass = true
+                        else if (src[pos] === ']') inClass = false
+                        pattern += src[pos++]
+                    }
+                    pos++
+                    const flags = /^[a-z]*/.exec(src.substring(pos))[0]
+                    pos += flags.length
+                    push('regex', { pattern, flags }, tokenPos)
+                } else {
+                    let op = PUNCTUATORS.find(p => src.startsWith(p, pos))
+                    if (op === '?.' && /[0-9]/.test(src[pos + 2] ?? '')) op = '?'  // ternary, e.g. `a?.5:1`
+                    if (!op) fail(`unexpected character "${ch}"`)
+                    pos += op.length
+                    if (op === '{') braceDepth++
+                    else if (op === '}' && isTemplateExpr && braceDepth-- === 0) {
+                        push('eof', null, tokenPos)
+                        return { tokens, end: pos }
+                    }
+                    push('op', op, tokenPos)
+                }
+            }
+        }
+
+        /**
+         * recursive descent parser
+         * @param {Token[]} tokens 
+         * @param {string} src for error messages
+         */
+        function parser(tokens, src) {
+            let i = 0
+
+            /** @param {Token} token */
+            const fail = (token = tokens[i]) => {
+                const desc = token.type === 'eof' ? 'end of input'
+                    : (token.type === 'name' || token.type === 'op' || token.type === 'num') ? `token "${token.value}"`
+                        : token.type === 'str' ? 'string' : token.type
+                throw new SyntaxError(`Phoebe.js: unexpected ${desc} at position ${token.pos} in: ${src}`)
+            }
+
+            /** @param {string} value @param {Token} token */
+            const is = (value, token = tokens[i]) => (token.type === 'op' || token.type === 'name') && token.value === value
+
+            /** @param {string} value */
+            const eat = value => {
+                if (!is(value)) return false
+                i++
+                return true
+            }
+
+            /** @param {string} value */
+            const expect = value => {
+                if (!eat(value)) fail()
+            }
+
+            const isEnd = () => tokens[i].type === 'eof'
+
+            /** @returns {AstNode} */
+            function parseProgram() {
+                const body = []
+                while (!isEnd()) body.push(parseStatement())
+                return { type: 'Block', body }
+            }
+
+            /** @returns {AstNode} */
+            function parseExpressionOnly() {
+                const expr = parseExpression()
+                if (!isEnd()) fail()
+                return expr
+            }
+
+            function endStatement() {
+                if (eat(';') || is('}') || isEnd() || tokens[i].nl) return
+                fail()
+            }
+
+            /** @returns {AstNode} */
+            function parseBlock() {
+                expect('{')
+                const body = []
+                while (!is('}')) {
+                    if (isEnd()) fail()
+                    body.push(parseStatement())
+                }
+                i++
+                return { type: 'Block', body }
+            }
+
+            /** @returns {AstNode} */
+            function parseStatement() {
+                if (eat(';')) return { type: 'Empty' }
+                if (is('{')) return parseBlock()
+                if (eat('if')) {
+                    expect('(')
+                    const test = parseExpression()
+                    expect(')')
+                    const consequent = parseStatement()
+                    const alternate = eat('else') ? parseStatement() : null
+                    return { type: 'If', test, consequent, alternate }
+                }
+                if (is('let') || is('const') || is('var')) {
+                    const kind = tokens[i++].value
+                    const declarations = []
+                    do {
+                        const name = parseBindingName()
+                        declarations.push({ name, init: eat('=') ? parseAssignment() : null })
+                    } while (eat(','))
+                    endStatement()
+                    return { type: 'VariableDeclaration', kind, declarations }
+                }
+                if (eat('return')) {
+                    const argument = (is(';') || is('}') || isEnd() || tokens[i].nl) ? null : parseExpression()
+                    endStatement()
+                    return { type: 'Return', argument }
+                }
+                const expression = parseExpression()
+                endStatement()
+                return { type: 'ExpressionStatement', expression }
+            }
+
+            function parseBindingName() {
+                const token = tokens[i++]
+                if (token.type !== 'name' || RESERVED_WORDS.has(token.value)) fail(token)
+                return token.value
+            }
+
+            /** @returns {AstNode} */
+            function parseExpression() {
+                const expr = parseAssignment()
+                if (!is(',')) return expr
+                const expressions = [expr]
+                while (eat(',')) expressions.push(parseAssignment())
+                return { type: 'Sequence', expressions }
+            }
+
+            function isArrowAhead() {
+                const token = tokens[i]
+                if (token.type === 'name' && !RESERVED_WORDS.has(token.value)) return is('=>', tokens[i + 1])
+                if (!is('(')) return false
+                let depth = 0
+                for (let j = i; j < tokens.length; j++) {
+                    const t = tokens[j]
+                    if (t.type !== 'op') continue
+                    if (t.value === '(' || t.value === '[' || t.value === '{') depth++
+                    else if ((t.value === ')' || t.value === ']' || t.value === '}') && --depth === 0)
+                        return is('=>', tokens[j + 1])
+                }
+                return false
+            }
+
+            /** @returns {AstNode} */
+            function parseArrow() {
+                const params = []
+                if (eat('(')) {
+                    while (!eat(')')) {
+                        const rest = eat('...')
+                        const name = parseBindingName()
+                        params.push({ name, rest, init: !rest && eat('=') ? parseAssignment() : null })
+                        if (!is(')')) expect(',')
+                    }
+                } else params.push({ name: parseBindingName(), rest: false, init: null })
+                expect('=>')
+                if (is('{')) return { type: 'Arrow', params, body: parseBlock(), expression: false }
+                return { type: 'Arrow', params, body: parseAssignment(), expression: true }
+            }
+
+            /** @returns {AstNode} */
+            function parseAssignment() {
+                if (isArrowAhead()) return parseArrow()
+                const left = parseConditional()
+                const token = tokens[i]
+                if (token.type === 'op' && ASSIGNMENT_OPERATORS.includes(token.value)) {
+                    if (left.type !== 'Identifier' && left.type !== 'Member') fail(token)
+                    i++
+                    return { type: 'Assign', operator: token.value, target: left, value: parseAssignment() }
+                }
+                return left
+            }
+
+            /** @returns {AstNode} */
+            function parseConditional() {
+                const test = parseBinary(1)
+                if (!eat('?')) return test
+                const consequent = parseAssignment()
+                expect(':')
+                const alternate = parseAssignment()
+                return { type: 'Conditional', test, consequent, alternate }
+            }
+
+            /**
+             * @param {number} minPrecedence 
+             * @returns {AstNode}
+             */
+            function parseBinary(minPrecedence) {
+                let left = parseUnary()
+                while (true) {
+                    const token = tokens[i]
+                    const precedence = (token.type === 'op' || token.type === 'name') ? BINARY_PRECEDENCE[token.value] : undefined
+                    if (!precedence || precedence < minPrecedence) return left
+                    i++
+                    const operator = token.value
+                    const right = parseBinary(operator === '**' ? precedence : precedence + 1)
+                    const isLogical = operator === '&&' || operator === '||' || operator === '??'
+                    left = { type: isLogical ? 'Logical' : 'Binary', operator, left, right }
+                }
+            }
+
+            /** @returns {AstNode} */
+            function parseUnary() {
+                const token = tokens[i]
+                if ((token.type === 'op' && ['!', '-', '+', '~'].includes(token.value))
+                    || (token.type === 'name' && ['typeof', 'void', 'delete'].includes(token.value))) {
+                    i++
+                    return { type: 'Unary', operator: token.value, argument: parseUnary() }
+                }
+                if (is('++') || is('--')) {
+                    i++
+                    const argument = parseUnary()
+                    if (argument.type !== 'Identifier' && argument.type !== 'Member') fail(token)
+                    return { type: 'Update', operator: token.value, prefix: true, argument }
+                }
+                const expr = parseCallMember(true)
+                if ((is('++') || is('--')) && !tokens[i].nl) {
+                    if (expr.type !== 'Identifier' && expr.type !== 'Member') fail()
+                    return { type: 'Update', operator: tokens[i++].value, prefix: false, argument: expr }
+                }
+                return expr
+            }
+
+            function parseArguments() {
+                expect('(')
+                const args = []
+                while (!eat(')')) {
+                    args.push(eat('...') ? { type: 'Spread', argument: parseAssignment() } : parseAssignment())
+                    if (!is(')')) expect(',')
+                }
+                return args
+            }
+
+            /**
+             * @param {boolean} allowCalls false for the callee of `new`
+             * @returns {AstNode}
+             */
+            function parseCallMember(allowCalls) {
+                let expr
+                if (eat('new')) {
+                    const callee = parseCallMember(false)
+                    expr = { type: 'New', callee, arguments: is('(') ? parseArguments() : [] }
+                } else expr = parsePrimary()
+
+                let isOptionalChain = false
+                while (true) {
+                    if (eat('.')) {
+                        const token = tokens[i++]
+                        if (token.type !== 'name') fail(token)
+                        expr = { type: 'Member', object: expr, property: token.value, computed: false, optional: false }
+                    } else if (allowCalls && eat('?.')) {
+                        isOptionalChain = true
+                        if (is('(')) expr = { type: 'Call', callee: expr, arguments: parseArguments(), optional: true }
+                        else if (eat('[')) {
+                            expr = { type: 'Member', object: expr, property: parseExpression(), computed: true, optional: true }
+                            expect(']')
+                        } else {
+                            const token = tokens[i++]
+                            if (token.type !== 'name') fail(token)
+                            expr = { type: 'Member', object: expr, property: token.value, computed: false, optional: true }
+                        }
+                    } else if (eat('[')) {
+                        expr = { type: 'Member', object: expr, property: parseExpression(), computed: true, optional: false }
+                        expect(']')
+                    } else if (allowCalls && is('(')) {
+                        expr = { type: 'Call', callee: expr, arguments: parseArguments(), optional: false }
+                    } else if (tokens[i].type === 'template') {
+                        fail()  // tagged templates are not supported
+                    } else break
+                }
+                return isOptionalChain ? { type: 'Chain', expression: expr } : expr
+            }
+
+            /** @returns {AstNode} */
+            function parsePrimary() {
+                const token = tokens[i++]
+                switch (token.type) {
+                    case 'num':
+                    case 'str':
+                        return { type: 'Literal', value: token.value }
+                    case 'regex':
+                        return { type: 'RegExp', pattern: token.value.pattern, flags: token.value.flags }
+                    case 'template':
+                        return {
+                            type: 'Template',
+                            strings: token.value.strings,
+                            expressions: token.value.exprs.map(exprTokens => parser(exprTokens, src).parseExpressionOnly())
+                        }
+                    case 'name':
+                        if (token.value === 'true') return { type: 'Literal', value: true }
+                        if (token.value === 'false') return { type: 'Literal', value: false }
+                        if (token.value === 'null') return { type: 'Literal', value: null }
+                        if (token.value === 'this') return { type: 'This' }
+                        if (RESERVED_WORDS.has(token.value)) fail(token)  // e.g. function, class, await
+                        return { type: 'Identifier', name: token.value }
+                    case 'op':
+                        if (token.value === '(') {
+                            const expr = parseExpression()
+                            expect(')')
+                            return expr
+                        }
+                        if (token.value === '[') {
+                            const elements = []
+                            while (!eat(']')) {
+                                if (is(',')) elements.push(null)  // hole, e.g. [1,,3]
+                                else elements.push(eat('...') ? { type: 'Spread', argument: parseAssignment() } : parseAssignment())
+                                if (!is(']')) expect(',')
+                            }
+                            return { type: 'Array', elements }
+                        }
+                        if (token.value === '{') {
+                            const properties = []
+                            while (!eat('}')) {
+                                if (eat('...')) properties.push({ spread: true, value: parseAssignment() })
+                                else {
+                                    const keyToken = tokens[i++]
+                                    let key, computed = false
+                                    if (keyToken.type === 'name' || keyToken.type === 'str' || keyToken.type === 'num') key = String(keyToken.value)
+                                    else if (is('[', keyToken)) {
+                                        key = parseAssignment()
+                                        computed = true
+                                        expect(']')
+                                    } else fail(keyToken)
+
+                                    if (eat(':')) properties.push({ key, computed, value: parseAssignment() })
+                                    else if (keyToken.type === 'name' && !RESERVED_WORDS.has(keyToken.value) && (is(',') || is('}')))
+                                        properties.push({ key, computed, value: { type: 'Identifier', name: keyToken.value } })  // shorthand {a}
+                                    else fail()  // e.g. methods
+                                }
+                                if (!is('}')) expect(',')
+                            }
+                            return { type: 'Object', properties }
+                        }
+                }
+                return fail(token)
+            }
+
+            return { parseProgram, parseExpressionOnly }
+        }
+
+        /**
+         * @typedef {object} Context
+         * @property {object} state
+         * @property {object} scope
+         * @property {any} thisArg
+         */
+
+        /**
+         * @typedef {{vars: Map<string, {value: any, isConst: boolean}>, parent: Env} | null} Env local variables of arrow functions and blocks
+         */
+
+        /**
+         * resolve a variable name like the `with` construct would do: local variables, scope, state, globals
+         * @param {string} name 
+         * @param {Env} env 
+         * @param {Context} ctx 
+         * @returns {{value: any, base: any} | undefined} base is the object which holds the variable, it becomes `this` of called functions
+         */
+        function lookup(name, env, ctx) {
+            for (let e = env; e; e = e.parent)
+                if (e.vars.has(name)) return { value: e.vars.get(name).value, base: undefined }
+            if (name in ctx.scope) return { value: ctx.scope[name], base: ctx.scope }
+            if (name in ctx.state) return { value: ctx.state[name], base: ctx.state }
+            if (name in globalThis) return { value: globalThis[name], base: undefined }
+            return undefined
+        }
+
+        /**
+         * @param {string} name 
+         * @param {any} value 
+         * @param {Env} env 
+         * @param {Context} ctx 
+         */
+        function assignVariable(name, value, env, ctx) {
+            for (let e = env; e; e = e.parent)
+                if (e.vars.has(name)) {
+                    const variable = e.vars.get(name)
+                    if (variable.isConst) throw new TypeError(`Assignment to constant variable ${name}`)
+                    variable.value = value
+                    return value
+                }
+            if (name in ctx.scope) ctx.scope[name] = value
+            else if (name in ctx.state) ctx.state[name] = value
+            else if (name in globalThis) globalThis[name] = value
+            else throw new ReferenceError(`${name} is not defined`)  // like strict mode, don't create globals
+            return value
+        }
+
+        /**
+         * resolve an assignment target once, e.g. for `a[i++] += 1`
+         * @param {AstNode} target identifier or member expression
+         * @param {Env} env 
+         * @param {Context} ctx 
+         * @returns {{get: () => any, set: (value: any) => any}}
+         */
+        function reference(target, env, ctx) {
+            if (target.type === 'Member') {
+                const object = evaluate(target.object, env, ctx)
+                const key = memberKey(target, env, ctx)
+                return { get: () => object[key], set: value => (object[key] = value) }
+            }
+            return {
+                get: () => evaluate(target, env, ctx),
+                set: value => assignVariable(target.name, value, env, ctx)
+            }
+        }
+
+        /**
+         * @param {AstNode} node member expression
+         * @param {Env} env 
+         * @param {Context} ctx 
+         */
+        function memberKey(node, env, ctx) {
+            return node.computed ? evaluate(node.property, env, ctx) : node.property
+        }
+
+        /**
+         * @param {Array<AstNode | null>} nodes 
+         * @param {Env} env 
+         * @param {Context} ctx 
+         */
+        function evaluateList(nodes, env, ctx) {
+            const values = []
+            for (const node of nodes) {
+                if (node === null) values.length++
+                else if (node.type === 'Spread') values.push(...evaluate(node.argument, env, ctx))
+                else values.push(evaluate(node, env, ctx))
+            }
+            return values
+        }
+
+        /**
+         * @param {AstNode} node 
+         * @param {Env} env 
+         * @param {Context} ctx 
+         * @returns {any}
+         */
+        function evaluate(node, env, ctx) {
+            switch (node.type) {
+                case 'Literal':
+                    return node.value
+                case 'RegExp':
+                    return new RegExp(node.pattern, node.flags)
+                case 'Template':
+                    return node.strings.reduce((result, str, idx) =>
+                        result + String(evaluate(node.expressions[idx - 1], env, ctx)) + str)
+                case 'Identifier': {
+                    const ref = lookup(node.name, env, ctx)
+                    if (!ref) throw new ReferenceError(`${node.name} is not defined`)
+                    return ref.value
+                }
+                case 'This':
+                    return ctx.thisArg
+                case 'Array':
+                    return evaluateList(node.elements, env, ctx)
+                case 'Object': {
+                    const obj = {}
+                    for (const prop of node.properties) {
+                        if (prop.spread) Object.assign(obj, evaluate(prop.value, env, ctx))
+                        else obj[prop.computed ? evaluate(prop.key, env, ctx) : prop.key] = evaluate(prop.value, env, ctx)
+                    }
+                    return obj
+                }
+                case 'Chain': {
+                    const value = evaluate(node.expression, env, ctx)
+                    return value === SHORT_CIRCUIT ? undefined : value
+                }
+                case 'Member': {
+                    const object = evaluate(node.object, env, ctx)
+                    if (object === SHORT_CIRCUIT || (node.optional && (object === null || object === undefined))) return SHORT_CIRCUIT
+                    return object[memberKey(node, env, ctx)]
+                }
+                case 'Call': {
+                    let func, thisArg
+                    if (node.callee.type === 'Member') {
+                        thisArg = evaluate(node.callee.object, env, ctx)
+                        if (thisArg === SHORT_CIRCUIT || (node.callee.optional && (thisArg === null || thisArg === undefined))) return SHORT_CIRCUIT
+                        func = thisArg[memberKey(node.callee, env, ctx)]
+                    } else if (node.callee.type === 'Identifier') {
+                        const ref = lookup(node.callee.name, env, ctx)
+                        if (!ref) throw new ReferenceError(`${node.callee.name} is not defined`)
+                        func = ref.value
+                        thisArg = ref.base  // like with-statements: functions of the state are called with the state as `this`
+                    } else {
+                        func = evaluate(node.callee, env, ctx)
+                        if (func === SHORT_CIRCUIT) return SHORT_CIRCUIT
+                    }
+                    if (node.optional && (func === null || func === undefined)) return SHORT_CIRCUIT
+                    if (typeof func !== 'function') throw new TypeError(`${describe(node.callee)} is not a function`)
+                    return func.apply(thisArg, evaluateList(node.arguments, env, ctx))
+                }
+                case 'New': {
+                    const constructor = evaluate(node.callee, env, ctx)
+                    if (typeof constructor !== 'function') throw new TypeError(`${describe(node.callee)} is not a constructor`)
+                    return Reflect.construct(constructor, evaluateList(node.arguments, env, ctx))
+                }
+                case 'Unary': {
+                    if (node.operator === 'typeof' && node.argument.type === 'Identifier') {  // no ReferenceError for undeclared variables
+                        const ref = lookup(node.argument.name, env, ctx)
+                        return typeof ref?.value
+                    }
+                    if (node.operator === 'delete') {
+                        if (node.argument.type !== 'Member') return true
+                        const object = evaluate(node.argument.object, env, ctx)
+                        return delete object[memberKey(node.argument, env, ctx)]
+                    }
+                    const value = evaluate(node.argument, env, ctx)
+                    switch (node.operator) {
+                        case '!': return !value
+                        case '-': return -value
+                        case '+': return +value
+                        case '~': return ~value
+                        case 'typeof': return typeof value
+                        case 'void': return undefined
+                    }
+                    break
+                }
+                case 'Update': {
+                    const ref = reference(node.argument, env, ctx)
+                    const old = Number(ref.get())
+                    const value = ref.set(node.operator === '++' ? old + 1 : old - 1)
+                    return node.prefix ? value : old
+                }
+                case 'Binary':
+                    return BINARY_OPERATIONS[node.operator](evaluate(node.left, env, ctx), evaluate(node.right, env, ctx))
+                case 'Logical': {
+                    const left = evaluate(node.left, env, ctx)
+                    if (node.operator === '&&') return left && evaluate(node.right, env, ctx)
+                    if (node.operator === '||') return left || evaluate(node.right, env, ctx)
+                    return left ?? evaluate(node.right, env, ctx)
+                }
+                case 'Conditional':
+                    return evaluate(node.test, env, ctx) ? evaluate(node.consequent, env, ctx) : evaluate(node.alternate, env, ctx)
+                case 'Assign': {
+                    const ref = reference(node.target, env, ctx)
+                    if (node.operator === '=') return ref.set(evaluate(node.value, env, ctx))
+                    const old = ref.get()
+                    if (node.operator === '&&=') return old ? ref.set(evaluate(node.value, env, ctx)) : old
+                    if (node.operator === '||=') return old ? old : ref.set(evaluate(node.value, env, ctx))
+                    if (node.operator === '??=') return old ?? ref.set(evaluate(node.value, env, ctx))
+                    const operation = BINARY_OPERATIONS[node.operator.slice(0, -1)]
+                    return ref.set(operation(old, evaluate(node.value, env, ctx)))
+                }
+                case 'Sequence': {
+                    let value
+                    for (const expr of node.expressions) value = evaluate(expr, env, ctx)
+                    return value
+                }
+                case 'Arrow':
+                    return (...args) => {
+                        /** @type {Env} */
+                        const fnEnv = { vars: new Map(), parent: env }
+                        node.params.forEach((param, idx) => {
+                            let value = param.rest ? args.slice(idx) : args[idx]
+                            if (value === undefined && param.init) value = evaluate(param.init, fnEnv, ctx)
+                            fnEnv.vars.set(param.name, { value, isConst: false })
+                        })
+                        if (node.expression) return evaluate(node.body, fnEnv, ctx)
+                        return execute(node.body, fnEnv, ctx)?.value
+                    }
+            }
+            throw new SyntaxError(`Phoebe.js: unsupported expression ${node.type}`)
+        }
+
+        /**
+         * @param {AstNode} node 
+         * @param {Env} env 
+         * @param {Context} ctx 
+         * @returns {{value: any} | undefined} set if a return statement was executed
+         */
+        function execute(node, env, ctx) {
+            switch (node.type) {
+                case 'Block': {
+                    /** @type {Env} */
+                    const blockEnv = { vars: new Map(), parent: env }
+                    for (const stmt of node.body) {
+                        const result = execute(stmt, blockEnv, ctx)
+                        if (result) return result
+                    }
+                    return undefined
+                }
+                case 'ExpressionStatement':
+                    evaluate(node.expression, env, ctx)
+                    return undefined
+                case 'If':
+                    if (evaluate(node.test, env, ctx)) return execute(node.consequent, env, ctx)
+                    else if (node.alternate) return execute(node.alternate, env, ctx)
+                    return undefined
+                case 'VariableDeclaration':
+                    for (const { name, init } of node.declarations)
+                        env.vars.set(name, { value: init ? evaluate(init, env, ctx) : undefined, isConst: node.kind === 'const' })
+                    return undefined
+                case 'Return':
+                    return { value: node.argument ? evaluate(node.argument, env, ctx) : undefined }
+                case 'Empty':
+                    return undefined
+            }
+        }
+
+        /**
+         * @param {AstNode} node 
+         * @returns {string}
+         */
+        function describe(node) {
+            if (node.type === 'Identifier') return node.name
+            if (node.type === 'Member' && !node.computed) return describe(node.object) + '.' + node.property
+            return 'expression'
+        }
+
+        return {
+            /**
+             * build a function with the same signature as the `new Function()` based ones of `js`
+             * @param {string} expr 
+             * @param {'get'|'set'|'exec'} mode 
+             * @returns {Function}
+             */
+            compile(expr, mode) {
+                const p = parser(tokenize(expr).tokens, expr)
+                if (mode === 'exec') {
+                    const program = p.parseProgram()
+                    return function (state, scope) {
+                        execute(program, null, { state, scope, thisArg: this })
+                    }
+                }
+                const node = p.parseExpressionOnly()
+                if (mode === 'get')
+                    return function (state, scope) {
+                        return evaluate(node, null, { state, scope, thisArg: this })
+                    }
+                if (node.type !== 'Identifier' && node.type !== 'Member')
+                    throw new SyntaxError(`Phoebe.js: invalid assignment target: ${expr}`)
+                return function (state, scope, value) {
+                    reference(node, null, { state, scope, thisArg: this }).set(value)
+                }
+            }
+        }
+    })()
+
+
+    /** pass errors to the `onError` hook and the dev overlay */
+    const errors = (() => {
+        /** @type {WeakSet<object>} errors which have been reported already, e.g. rethrown by js.get() */
+        const reported = new WeakSet()
+
+        /** @type {HTMLElement | null} */
+        let overlay = null
+
+        /**
+         * @param {ErrorInfo} info 
+         */
+        function showInOverlay(info) {
+            if (!overlay) {
+                overlay = document.createElement('div')
+                overlay.style.cssText = 'position: fixed; left: 0; right: 0; bottom: 0; z-index: 2147483647; max-height: 30vh; overflow: auto; ' +
+                    'padding: 0.5em; background: #fff0f0; color: #a00; border-top: 2px solid #a00; font: 12px monospace'
+                document.body.appendChild(overlay)
+                lifecycle.signal.addEventListener('abort', () => overlay.remove(), { once: true, passive: true })
+            }
+            const entry = document.createElement('div')
+            entry.textContent = `${info.path}${info.attrName ? ` [${info.attrName}]` : ''}: ${info.error}${info.expr !== null ? ` in: ${info.expr}` : ''}`
+            entry.style.cursor = 'pointer'
+            entry.addEventListener('click', () => info.el?.scrollIntoView({ block: 'center' }))
+            overlay.appendChild(entry)
+            if (info.el instanceof HTMLElement || info.el instanceof SVGElement) info.el.style.outline = '2px solid #a00'
+        }
+
+        /**
+         * @param {any} error 
+         * @param {string | null} expr 
+         * @param {Element | undefined} el 
+         * @param {string | null} attrName the attribute containing the phoebe string
+         * @returns {boolean} false if the error has been reported already
+         */
+        function report(error, expr, el, attrName = null) {
+            if (error !== null && typeof error === 'object') {
+                if (reported.has(error)) return false
+                reported.add(error)
+            }
+            /** @type {ErrorInfo} */
+            const info = { error, expr, attrName, el, path: el ? utils.domPath(el) : '' }
+            if (config.devOverlay) showInOverlay(info)
+            try {
+                config.onError?.(info)
+            } catch (e) {
+                console.error('Phoebe.js: error', e, 'in onError hook')
+            }
+            return true
+        }
+
+        return { report }
+    })()
+
+
+    /** formatters for pipes, e.g. `${price | currency:'EUR'}` */
+    const formatting = (() => {
+        /**
+         * @param {string} name 
+         */
+        function formatterOf(name) {
+            if (config.formatters && Object.prototype.hasOwnProperty.call(config.formatters, name)) return config.formatters[name]
+            if (Object.prototype.hasOwnProperty.call(formatters, name)) return formatters[name]
+            return undefined
+        }
+
+        /**
+         * @param {string} name 
+         * @param {any} value null and undefined are formatted as empty string
+         * @param {...any} args 
+         * @returns {string}
+         */
+        function format(name, value, ...args) {
+            const formatter = formatterOf(name)
+            if (!formatter) throw new Error(`Phoebe.js: unknown formatter "${name}", use brackets for the bitwise or: (a | b)`)
+            if (value === null || value === undefined) return ''
+            return formatter.call({ locale: config.locale ?? i18n?.locale }, value, ...args)
+        }
+
+        /**
+         * @param {string} expr 
+         * @returns {string} the expression with the pipes replaced by `$format()` calls
+         */
+        function transform(expr) {
+            return expr.includes('|') ? transformPipes(expr) : expr
+        }
+
+        return { format, transform }
+    })()
+
+
+    /** utils to execute javascript snippets contained in phoebe strings */
+    const js = (() => {
+        /** @type {Map<string, Function>} */
+        const cache = new Map()
+
+        const varSuffix = Math.random().toString(36).slice(2)
+        /**
+         * due to the with-construct, unique variable names are required to not clash with a key in `state` or `scope`
+         * @private
+         * @param {string} varName
+         */
+        function uniqueVarName(varName) {
+            return `_phoebe_${varName}_${varSuffix}`
+        }
+
+
+        return {
+            /**
+             * get a value from a javascript expression
+             * @param {string} expr 
+             * @param {object} scope 
+             * @param {Element} _this 
+             * @param {string | null} attrName the attribute containing the expression, for error reports
+             */
+            get(expr, scope, _this, attrName = null) {
+                try {
+                    const cache_key = 'get:' + expr
+                    if (!cache.has(cache_key)) {
+                        const source = formatting.transform(expr)
+                        cache.set(cache_key, config.csp ? interpreter.compile(source, 'get') : new Function(
+                            uniqueVarName('state'),
+                            uniqueVarName('scope'),
+                            `with(${uniqueVarName('state')}){ with(${uniqueVarName('scope')}){ return (${source}) } }`
+                        ))
+                    }
+                    return cache.get(cache_key).call(_this, state, scope)
+                } catch (e) {
+                    console.error('Phoebe.js: error', e, 'executing js.get() with', expr, 'and scope', scope, 'on', _this)
+                    errors.report(e, expr, _this, attrName)
+                    throw e
+                }
+            },
+            /**
+             * assign a javascript expression a value 
+             * @param {string} expr 
+             * @param {any} value 
+             * @param {object} scope 
+             * @param {Element} _this 
+             * @param {string | null} attrName the attribute containing the expression, for error reports
+             */
+            set(expr, value, scope, _this, attrName = null) {
+                try {
+                    const cache_key = 'set:' + expr
+                    if (!cache.has(cache_key))
+                        cache.set(cache_key, config.csp ? interpreter.compile(expr, 'set') : new Function(
+                            uniqueVarName('state'),
+                            uniqueVarName('scope'),
+                            uniqueVarName('value'),
+                            `with(${uniqueVarName('state')}) { with(${uniqueVarName('scope')}){ ${expr} = ${uniqueVarName('value')} } }`
+                        ))
+                    deps.untracked(() => cache.get(cache_key).call(_this, state, scope, value))
+                } catch (e) {
+                    console.error('Phoebe.js: error', e, 'executing js.set() with', expr, '=', value, 'and scope', scope, 'on', _this)
+                    errors.report(e, expr, _this, attrName)
+                }
+            },
+            /**
+             * execute a javascript expression
+             * @param {string} expr 
+             * @param {object} scope 
+             * @param {Element} _this 
+             * @param {string | null} attrName the attribute containing the expression, for error reports
+             */
+            exec(expr, scope, _this, attrName = null) {
+                try {
+                    const cache_key = 'exec:' + expr
+                    if (!cache.has(cache_key))
+                        cache.set(cache_key, config.csp ? interpreter.compile(expr, 'exec') : new Function(
+                            uniqueVarName('state'),
+                            uniqueVarName('scope'),
+                            `with(${uniqueVarName('state')}){ with(${uniqueVarName('scope')}){ ${expr} } }`
+                        ))
+                    deps.untracked(() => cache.get(cache_key).call(_this, state, scope))
+                } catch (e) {
+                    console.error('Phoebe.js: error', e, 'executing js.exec() with', expr, 'and scope', scope, 'on', _this)
+                    errors.report(e, expr, _this, attrName)
+                }
+            }
+        }
+    })()
+
+
+    /** dependency tracking: remember which effect has read which key of which state object */
+    const deps = (() => {
+        /** pseudo key for reads of the whole key set of an object, e.g. by loops */
+        const ITERATE_KEY = Symbol('iterate')
+
+        /** @type {WeakMap<object, Map<any, Set<Effect>>>} */
+        const targetMap = new WeakMap()
+
+        /** @type {Effect | null} */
+        let activeEffect = null
+
+        let batchDepth = 0
+
+        /** @type {Set<Effect>} effects to notify at the end of the running batch */
+        let batchedEffects = new Set()
+
+        /**
+         * subscribe the running effect to a key of a state object
+         * @param {object} target raw state object (not the proxy)
+         * @param {any} key 
+         */
+        function track(target, key) {
+            if (!activeEffect) return
+            let keyMap = targetMap.get(target)
+            if (!keyMap) targetMap.set(target, keyMap = new Map())
+            let effects = keyMap.get(key)
+            if (!effects) keyMap.set(key, effects = new Set())
+            if (!effects.has(activeEffect)) {
+                effects.add(activeEffect)
+                activeEffect.deps.add(effects)
+            }
+        }
+
+        /**
+         * notify all effects subscribed to a key of a state object
+         * @param {object} target raw state object (not the proxy)
+         * @param {any} key 
+         */
+        function trigger(target, key) {
+            const effects = targetMap.get(target)?.get(key)
+            if (effects)
+                for (const effect of Array.from(effects)) // copy as notified effects might resubscribe
+                    if (effect !== activeEffect) {  // an effect should not retrigger itself
+                        if (batchDepth > 0) batchedEffects.add(effect)
+                        else effect.notify()
+                    }
+        }
+
+        /**
+         * notify all effects subscribed to any key of a state object
+         * @param {object} target raw state object (not the proxy)
+         */
+        function triggerAll(target) {
+            const keyMap = targetMap.get(target)
+            if (keyMap)
+                for (const key of Array.from(keyMap.keys())) trigger(target, key)
+        }
+
+        /**
+         * unsubscribe an effect from all its dependencies
+         * @param {Effect} effect 
+         */
+        function cleanup(effect) {
+            for (const effects of effect.deps) effects.delete(effect)
+            effect.deps.clear()
+        }
+
+        /**
+         * run a function and collect the state it reads as the (new) dependencies of the effect
+         * @template T
+         * @param {Effect} effect 
+         * @param {() => T} fn 
+         * @returns {T}
+         */
+        function run(effect, fn) {
+            cleanup(effect)
+            const prevEffect = activeEffect
+            activeEffect = effect
+            try {
+                return fn()
+            } finally {
+                activeEffect = prevEffect
+            }
+        }
+
+        /**
+         * run a function without collecting dependencies, e.g. event handlers executed during rendering
+         * @template T
+         * @param {() => T} fn 
+         * @returns {T}
+         */
+        function untracked(fn) {
+            const prevEffect = activeEffect
+            activeEffect = null
+            try {
+                return fn()
+            } finally {
+                activeEffect = prevEffect
+            }
+        }
+
+        /**
+         * notify the effects once after a function has made several changes, so that they don't see an intermediate state,
+         * e.g. with synchronous rendering during `list.splice()`
+         * @template T
+         * @param {() => T} fn 
+         * @returns {T}
+         */
+        function batch(fn) {
+            batchDepth++
+            try {
+                return fn()
+            } finally {
+                if (--batchDepth === 0) {
+                    const effects = batchedEffects
+                    batchedEffects = new Set()
+                    effects.forEach(effect => effect.notify())
+                }
+            }
+        }
+
+        return { ITERATE_KEY, track, trigger, triggerAll, cleanup, run, untracked, batch }
+    })()
+
+
+    /** make objects reactive: reads are tracked and writes trigger the effects of this instance */
+    const reactivity = (() => {
+        /**@type {WeakMap<object, any>} raw object to proxy */
+        const cache = new WeakMap()
+
+        /**@type {WeakMap<object, object>} proxy to raw object */
+        const proxies = new WeakMap()
+
+        /** @type {Set<(mutation: Mutation) => void>} called after every write to a reactive object */
+        const mutationListeners = new Set()
+
+        /** @type {WeakMap<object, {parent: object, key: any}>} where a raw object was seen last, to find its path in the state */
+        const parents = new WeakMap()
+
+        /**
+         * whether anyone listens to mutations. only then the old values are copied and the parents of objects are remembered,
+         * as e.g. copying a large typed array on every write would be slow
+         */
+        function isRecording() {
+            return mutationListeners.size > 0
+        }
+
+        /**
+         * @param {Mutation} mutation 
+         */
+        function mutated(mutation) {
+            mutationListeners.forEach(listener => listener(mutation))
+        }
+
+        /**
+         * remember the parent of an object value
+         * @param {object} parent raw object
+         * @param {any} key the key in the parent, the value itself for members of a Set
+         * @param {any} value 
+         */
+        function adopt(parent, key, value) {
+            if (isRecording() && value && typeof value === 'object') parents.set(toRaw(value), { parent, key })
+        }
+
+        /**
+         * remember the parents of all objects within an object, e.g. when the first listener starts recording
+         * @param {object} parent raw object
+         * @param {Set<object>} seen 
+         */
+        function adoptAll(parent, seen = new Set()) {
+            if (seen.has(parent)) return
+            seen.add(parent)
+            /** @param {any} key @param {any} value */
+            const visit = (key, value) => {
+                value = toRaw(value)
+                if (!value || typeof value !== 'object') return
+                adopt(parent, key, value)
+                if (!(value instanceof Node || value instanceof Date || value instanceof RegExp || value instanceof Promise || ArrayBuffer.isView(value)))
+                    adoptAll(value, seen)
+            }
+            if (parent instanceof Map) parent.forEach((value, key) => visit(key, value))
+            else if (parent instanceof Set) parent.forEach(value => visit(value, value))
+            else if (!(parent instanceof WeakMap || parent instanceof WeakSet))
+                for (const key of Object.keys(parent)) {
+                    const descriptor = Object.getOwnPropertyDescriptor(parent, key)
+                    if ('value' in descriptor) visit(key, descriptor.value)  // getters are not run here
+                }
+        }
+
+        /**
+         * @param {ArrayBufferView} view 
+         * @returns {Uint8Array} the bytes of a typed array or DataView
+         */
+        function bytesOf(view) {
+            return new Uint8Array(view.buffer, view.byteOffset, view.byteLength)
+        }
+
+        /**
+         * @param {object} target a raw object
+         * @returns {any[] | null} the keys from the state root to the object, null if it's not part of the state (anymore)
+         */
+        function pathOf(target) {
+            const root = toRaw(initialValues)
+            /** @type {any[]} */
+            const path = []
+            for (let obj = target; obj !== root; obj = parents.get(obj).parent) {
+                if (!parents.has(obj) || path.length > 100) return null  // unknown or cyclic
+                path.unshift(parents.get(obj).key)
+            }
+            /** @type {any} */
+            let value = root  // the object might have been moved or removed since it was seen
+            for (const key of path) value = toRaw(value instanceof Map ? value.get(key) : value instanceof Set ? (value.has(key) ? key : undefined) : value?.[key])
+            return value === target ? path : null
+        }
+
+        /**
+         * @param {Mutation} mutation 
+         * @returns {any[] | null} the path of the changed value in the state, null if it's not part of the state or of a helper like `$router`
+         */
+        function pathOfMutation(mutation) {
+            const path = pathOf(mutation.target)
+            if (!path) return null
+            const fullPath = mutation.key === deps.ITERATE_KEY ? path : [...path, mutation.key]
+            return typeof fullPath[0] === 'string' && fullPath[0].startsWith('$') ? null : fullPath
+        }
+
+        /**
+         * apply a mutation again or revert it, as a write to the reactive state
+         * @param {Mutation} mutation 
+         * @param {boolean} isRevert 
+         */
+        function replay(mutation, isRevert) {
+            const { target, key } = mutation
+            const exists = isRevert ? mutation.hadKey : mutation.hasKey
+            const value = isRevert ? mutation.oldValue : mutation.value
+            const proxy = wrap(target)
+            if (ArrayBuffer.isView(target)) {
+                const oldValue = bytesOf(target).slice()  // replayed by the history, which records anyway
+                bytesOf(target).set(value)
+                deps.trigger(target, deps.ITERATE_KEY)
+                mutated({ target, key, hadKey: true, oldValue, hasKey: true, value })
+            } else if (key === deps.ITERATE_KEY) {  // clear()
+                if (!isRevert) proxy.clear()
+                else if (target instanceof Map) value.forEach(([k, v]) => proxy.set(k, v))
+                else value.forEach(v => proxy.add(v))
+            } else if (target instanceof Map || target instanceof WeakMap) {
+                if (exists) proxy.set(key, value)
+                else proxy.delete(key)
+            } else if (target instanceof Set || target instanceof WeakSet) {
+                if (exists) proxy.add(key)
+                else proxy.delete(key)
+            } else if (exists) proxy[key] = value
+            else delete proxy[key]
+        }
+
+        /**
+         * @template T
+         * @param {T} value 
+         * @returns {T} the raw object of a proxy, otherwise the value itself
+         */
+        function toRaw(value) {
+            return proxies.get(value) ?? value
+        }
+
+        /**
+         * array methods which write multiple indices. they are reactive through the set trap anyway, 
+         * but must not subscribe the running effect to the indices they read, e.g. `list.push()` within a template
+         */
+        const arrayMutators = {}
+        for (const method of ['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'])
+            arrayMutators[method] = function (...args) {
+                return deps.batch(() => deps.untracked(() => Array.prototype[method].apply(this, args)))
+            }
+
+        /** array search methods, which also find a raw item by its proxy and vice versa */
+        const arraySearches = {}
+        for (const method of ['includes', 'indexOf', 'lastIndexOf'])
+            arraySearches[method] = function (...args) {
+                const target = toRaw(this)
+                deps.track(target, 'length')
+                for (let i = 0; i < target.length; i++) deps.track(target, String(i))
+                const result = Array.prototype[method].apply(target, args)
+                if (result !== -1 && result !== false) return result
+                return Array.prototype[method].apply(target.map(toRaw), [toRaw(args[0]), ...args.slice(1)])  // compare raw items
+            }
+
+        /**
+         * Map, Set, WeakMap and WeakSet store their entries in internal slots, which a proxy cannot intercept.
+         * their methods are therefore replaced to run on the raw collection and track or trigger the accessed keys.
+         * keys and values are stored raw
+         */
+        const collectionMethods = {
+            /** @param {any} key */
+            get(key) {
+                const target = toRaw(this)
+                deps.track(target, toRaw(key))
+                const value = target.get(toRaw(key))
+                adopt(target, toRaw(key), value)
+                return wrap(value)
+            },
+            /** @param {any} key */
+            has(key) {
+                const target = toRaw(this)
+                deps.track(target, toRaw(key))
+                return target.has(toRaw(key))
+            },
+            /** @param {any} key @param {any} value */
+            set(key, value) {
+                const target = toRaw(this)
+                key = toRaw(key)
+                value = toRaw(value)
+                const hadKey = target.has(key)
+                const old = target.get(key)
+                target.set(key, value)
+                adopt(target, key, value)
+                if (!hadKey || !Object.is(old, value)) {
+                    deps.trigger(target, key)
+                    deps.trigger(target, deps.ITERATE_KEY)  // iterations read the values as well
+                    mutated({ target, key, hadKey, oldValue: old, hasKey: true, value })
+                }
+                return this
+            },
+            /** @param {any} value */
+            add(value) {
+                const target = toRaw(this)
+                value = toRaw(value)
+                if (!target.has(value)) {
+                    target.add(value)
+                    deps.trigger(target, value)
+                    deps.trigger(target, deps.ITERATE_KEY)
+                    mutated({ target, key: value, hadKey: false, oldValue: undefined, hasKey: true, value })
+                }
+                return this
+            },
+            /** @param {any} key */
+            delete(key) {
+                const target = toRaw(this)
+                key = toRaw(key)
+                const old = target instanceof Map || target instanceof WeakMap ? target.get(key) : key
+                const result = target.delete(key)
+                if (result) {
+                    deps.trigger(target, key)
+                    deps.trigger(target, deps.ITERATE_KEY)
+                    mutated({ target, key, hadKey: true, oldValue: old, hasKey: false, value: undefined })
+                }
+                return result
+            },
+            clear() {
+                const target = toRaw(this)
+                if (target.size === 0) return
+                const entries = isRecording() ? Array.from(target) : []
+                target.clear()
+                deps.triggerAll(target)
+                mutated({ target, key: deps.ITERATE_KEY, hadKey: true, oldValue: entries, hasKey: false, value: undefined })
+            },
+            /** @param {(value: any, key: any, collection: any) => void} callback @param {any} thisArg */
+            forEach(callback, thisArg) {
+                const target = toRaw(this)
+                deps.track(target, deps.ITERATE_KEY)
+                target.forEach((value, key) => {
+                    adopt(target, key, value)  // the key of a Set member is the member itself
+                    callback.call(thisArg, wrap(value), wrap(key), this)
+                })
+            },
+            keys() {
+                return collectionIterator(/**@type {any}*/(toRaw(this)), 'keys')
+            },
+            values() {
+                return collectionIterator(/**@type {any}*/(toRaw(this)), 'values')
+            },
+            entries() {
+                return collectionIterator(/**@type {any}*/(toRaw(this)), 'entries')
+            },
+            [Symbol.iterator]() {
+                const target = /**@type {any}*/ (toRaw(this))
+                return collectionIterator(target, target instanceof Map ? 'entries' : 'values')
+            }
+        }
+
+        /**
+         * @param {Map<any, any> | Set<any>} target 
+         * @param {'keys'|'values'|'entries'} method 
+         * @returns {IterableIterator<any>}
+         */
+        function* collectionIterator(target, method) {
+            deps.track(target, deps.ITERATE_KEY)
+            for (const [key, value] of target.entries()) {  // [value, value] for a Set
+                adopt(target, key, value)
+                yield method === 'entries' ? [wrap(key), wrap(value)] : wrap(method === 'keys' ? key : value)
+            }
+        }
+
+        /** @type {ProxyHandler<Map<any, any> | Set<any> | WeakMap<object, any> | WeakSet<object>>} */
+        const collectionHandler = {
+            get(target, key) {
+                if (key === 'size') {
+                    deps.track(target, deps.ITERATE_KEY)
+                    return Reflect.get(target, key, target)
+                }
+                if (Object.prototype.hasOwnProperty.call(collectionMethods, key) && key in target) return collectionMethods[key]
+                return Reflect.get(target, key, target)
+            }
+        }
+
+        /**
+         * typed arrays and DataViews: their methods and getters need the raw object as `this`.
+         * they are tracked as a whole, as they are usually processed as a whole
+         * @type {ProxyHandler<ArrayBufferView>}
+         */
+        const bufferViewHandler = {
+            get(target, key) {
+                const value = Reflect.get(target, key, target)
+                if (typeof value === 'function') {
+                    return (/**@type {any[]}*/ ...args) => {
+                        if (typeof key === 'string' && /^(set|fill|sort|reverse|copyWithin)/.test(key)) {
+                            const oldValue = isRecording() ? bytesOf(target).slice() : null
+                            const result = value.apply(target, args)
+                            deps.trigger(target, deps.ITERATE_KEY)
+                            if (oldValue) mutated({ target, key: deps.ITERATE_KEY, hadKey: true, oldValue, hasKey: true, value: bytesOf(target).slice() })
+                            return result
+                        }
+                        deps.track(target, deps.ITERATE_KEY)
+                        return value.apply(target, args)
+                    }
+                }
+                deps.track(target, deps.ITERATE_KEY)
+                return value
+            },
+            set(target, key, value) {
+                const oldValue = isRecording() ? bytesOf(target).slice() : null
+                const old = target[key]
+                const result = Reflect.set(target, key, value)
+                if (!Object.is(old, target[key])) {
+                    deps.trigger(target, deps.ITERATE_KEY)
+                    if (oldValue) mutated({ target, key: deps.ITERATE_KEY, hadKey: true, oldValue, hasKey: true, value: bytesOf(target).slice() })
+                }
+                return result
+            }
+        }
+
+        /**
+         * @typedef {Effect & {isDirty: boolean, value: any}} Computed
+         */
+
+        /**@type {WeakMap<object, Map<string, Computed>>} cached getters per state object */
+        const computedProps = new WeakMap()
+
+        /**
+         * turn the getters of a plain object into computed properties: 
+         * the result is cached until a state value read by the getter changes
+         * @param {object} target 
+         */
+        function registerComputedProps(target) {
+            const proto = Object.getPrototypeOf(target)
+            if (Array.isArray(target) || (proto !== Object.prototype && proto !== null)) return  // class instances keep their getters
+
+            for (const key of Object.getOwnPropertyNames(target))
+                if (Object.getOwnPropertyDescriptor(target, key).get) {
+                    if (!computedProps.has(target)) computedProps.set(target, new Map())
+                    /** @type {Computed} */
+                    const computed = {
+                        deps: new Set(),
+                        isDirty: true,
+                        value: undefined,
+                        notify() {
+                            if (!computed.isDirty) {
+                                computed.isDirty = true
+                                deps.trigger(target, key)  // readers of the computed property rerun
+                            }
+                        }
+                    }
+                    computedProps.get(target).set(key, computed)
+                }
+        }
+
+        /**
+         * make state reactive
+         * @template T
+         * @param {T} target 
+         * @returns {T}
+         */
+        function wrap(target) {
+
+            if (!target
+                || typeof target !== "object"
+                || (target instanceof Element)
+                || (target instanceof Date)
+                || (target instanceof RegExp)
+                || (target instanceof Promise)  // its methods don't work on a proxy, e.g. for <phoebe-await>
+            ) return target
+
+            if (proxies.has(target)) return target  // already reactive, e.g. a state object assigned to another key
+            if (cache.has(target)) return cache.get(target)
+
+            /** @type {ProxyHandler<any>} */
+            let handler
+            if (target instanceof Map || target instanceof Set || target instanceof WeakMap || target instanceof WeakSet)
+                handler = collectionHandler
+            else if (ArrayBuffer.isView(target))
+                handler = bufferViewHandler
+            else registerComputedProps(target)
+
+            const proxy = new Proxy(target, handler ?? {
+                get(target, key, receiver) {
+                    if (Array.isArray(target)) {
+                        if (Object.prototype.hasOwnProperty.call(arrayMutators, key)) return arrayMutators[key]
+                        if (Object.prototype.hasOwnProperty.call(arraySearches, key)) return arraySearches[key]
+                    }
+                    if (typeof key !== 'symbol') deps.track(target, key)
+                    const computed = computedProps.get(target)?.get(/**@type {string}*/(key))
+                    if (computed) {
+                        if (computed.isDirty) {
+                            computed.value = deps.run(computed, () => Reflect.get(target, key, receiver))
+                            computed.isDirty = false
+                        }
+                        return wrap(computed.value)
+                    }
+                    const value = Reflect.get(target, key, receiver)
+                    adopt(target, key, value)
+                    return wrap(value) // wrap nested objects // todo: check value type here and save a recursive call
+                },
+                has(target, key) {
+                    if (typeof key !== 'symbol') deps.track(target, key)  // with-statements lookup variables via has()
+                    return Reflect.has(target, key)
+                },
+                ownKeys(target) {
+                    deps.track(target, deps.ITERATE_KEY)
+                    return Reflect.ownKeys(target)
+                },
+                set(target, key, value, receiver) {
+                    const hadKey = Object.prototype.hasOwnProperty.call(target, key)
+                    const old = target[key]
+                    const truncated = isRecording() && Array.isArray(target) && key === 'length' && value < old ? target.slice(value) : []
+                    const oldLength = Array.isArray(target) ? target.length : 0
+                    const result = Reflect.set(target, key, value, receiver)
+                    adopt(target, key, value)
+                    if (!hadKey) {
+                        deps.trigger(target, key)
+                        deps.trigger(target, deps.ITERATE_KEY)
+                        if (Array.isArray(target)) deps.trigger(target, 'length')
+                        mutated({ target, key, hadKey, oldValue: old, hasKey: true, value })
+                        if (Array.isArray(target) && target.length !== oldLength)  // grown by the new index
+                            mutated({ target, key: 'length', hadKey: true, oldValue: oldLength, hasKey: true, value: target.length })
+                    } else if (!Object.is(old, value)) {
+                        if (Array.isArray(target) && key === 'length') deps.triggerAll(target)  // truncation removes items
+                        else deps.trigger(target, key)
+                        for (let i = truncated.length - 1; i >= 0; i--)  // the removed items, so that the truncation can be reverted
+                            if (i in truncated) mutated({ target, key: String(value + i), hadKey: true, oldValue: truncated[i], hasKey: false, value: undefined })
+                        mutated({ target, key, hadKey, oldValue: old, hasKey: true, value })
+                    }
+                    return result
+                },
+                deleteProperty(target, key) {
+                    const hadKey = Object.prototype.hasOwnProperty.call(target, key)
+                    const old = target[key]
+                    const result = Reflect.deleteProperty(target, key)
+                    if (hadKey) {
+                        deps.trigger(target, key)
+                        deps.trigger(target, deps.ITERATE_KEY)
+                        mutated({ target, key, hadKey, oldValue: old, hasKey: false, value: undefined })
+                    }
+                    return result
+                }
+            })
+
+            cache.set(target, proxy)
+            proxies.set(proxy, target)
+
+            return proxy
+        }
+
+        /**
+         * @param {(mutation: Mutation) => void} listener called after every write to a reactive object
+         * @returns {() => void} remove the listener
+         */
+        function onMutation(listener) {
+            const isFirst = !isRecording()
+            mutationListeners.add(listener)
+            if (isFirst) adoptAll(toRaw(initialValues))  // objects read before might be changed later
+            return () => mutationListeners.delete(listener)
+        }
+
+        return { wrap, toRaw, onMutation, pathOf, pathOfMutation, replay }
+    })()
+
+    /** reactive state of the phoebe instance */
+    const state = reactivity.wrap(initialValues)
+
+
+    /** @type {Map<Element, Set<(isDetached: boolean) => void>>} removers of the listeners on window or document, by their element */
+    const outerListeners = new Map()
+
+    /** handlers to apply phoebe directives to the dom */
+    const directives = {
+        /** 
+         * two-way binding for the value of form controls: `<input type="text" phoebe-bind="name" />`.
+         * the state value depends on the control:
+         * - `<select multiple>`: an array of the selected values
+         * - date, time and datetime-local inputs: a `Date`, unless the state value is a string
+         * - file inputs: a `File` or `null`, an array of files with the `multiple` attribute
+         * - contenteditable elements: the text
+         * - custom elements: their `value` property, on `input` and `change` events
+         * 
+         * modifiers follow the attribute name: `<input phoebe-bind:lazy:trim="name">`
+         * - `lazy`: update the state on `change` instead of `input` events
+         * - `trim`, `number`: trim the text or convert it to a number
+         * - `debounce`: delay updates, with an optional duration like `debounce.500ms`
+         * 
+         * the expressions of `phoebe-bind-parse` and `phoebe-bind-format` convert between the shown and the state `value`
+         * @param {Element} el
+         * @param {string} expr
+         * @param {object} scope
+         * @param {string[]} modifiers e.g. `['lazy', 'debounce.500ms']`
+         */
+        handleBinding(el, expr, scope, modifiers = []) {
+            if (!expr || expr.length === 0) return console.warn('Phoebe.js: phoebe-bind cannot be empty:', el)
+
+            const isEditable = el instanceof HTMLElement && el.hasAttribute('contenteditable') && el.getAttribute('contenteditable') !== 'false'
+            const isCustomElement = el.localName.includes('-')
+            if (!(el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement || el instanceof HTMLSelectElement || isEditable || isCustomElement))
+                return console.warn('Phoebe.js: phoebe-bind should only be used on <input>, <textarea>, <select>, contenteditable and custom elements, not on:', el)
+
+            const bindAttr = ['phoebe-bind', ...modifiers].join(':')
+
+            /** @type {Record<string, string>} modifier name to its argument, e.g. debounce -> 500ms */
+            const mods = {}
+            for (const modifier of modifiers) {
+                const [name, ...arg] = modifier.split('.')
+                if (['lazy', 'trim', 'number', 'debounce'].includes(name)) mods[name] = arg.join('.')
+                else console.warn('Phoebe.js: unknown phoebe-bind modifier', modifier, 'on', el)
+            }
+
+            const type = el instanceof HTMLInputElement ? el.type : null
+            const isDateInput = type === 'date' || type === 'time' || type === 'datetime-local'
+            const parseExpr = el.getAttribute('phoebe-bind-parse')
+            const formatExpr = el.getAttribute('phoebe-bind-format')
+
+            /**
+             * @param {any} value the state value
+             * @param {object} scope 
+             * @returns {any} the value to show
+             */
+            const format = (value, scope) => formatExpr ? js.get(formatExpr, { ...scope, value }, el, 'phoebe-bind-format') : value
+
+            /**
+             * @param {any} binding the current state value
+             * @param {object} scope 
+             * @returns {any} the state value for the input
+             */
+            const read = (binding, scope) => {
+                let value
+                if (el instanceof HTMLSelectElement && el.multiple) value = Array.from(el.selectedOptions, option => option.value)
+                else if (el instanceof HTMLInputElement && type === 'file') value = el.multiple ? Array.from(el.files ?? []) : el.files?.[0] ?? null
+                else if (el instanceof HTMLInputElement && (type === 'number' || type === 'range')) value = el.valueAsNumber
+                else if (isDateInput) value = typeof binding === 'string' ? /**@type {HTMLInputElement}*/(el).value : utils.parseDateInput(/**@type {HTMLInputElement}*/(el).value, type, binding)
+                else if (isEditable) value = el.textContent
+                else value = /**@type {any}*/(el).value
+                if (typeof value === 'string' && 'trim' in mods) value = value.trim()
+                if (typeof value === 'string' && 'number' in mods && !Number.isNaN(parseFloat(value))) value = parseFloat(value)
+                return parseExpr ? js.get(parseExpr, { ...scope, value }, el, 'phoebe-bind-parse') : value
+            }
+
+            const value = js.get(expr, scope, el, bindAttr)
+            const shown = format(value, scope)
+            if (el instanceof HTMLInputElement && type === 'checkbox') {
+                el.checked = Array.isArray(value) ? value.includes(el.value) : !!value
+            } else if (el instanceof HTMLInputElement && type === 'radio') {
+                el.checked = value === el.value
+            } else if (el instanceof HTMLSelectElement && el.multiple) {
+                for (const option of Array.from(el.options)) option.selected = Array.isArray(shown) && shown.includes(option.value)
+            } else if (el instanceof HTMLInputElement && type === 'file') {
+                if (!shown || (Array.isArray(shown) && shown.length === 0)) el.value = ''  // file inputs can only be cleared
+            } else if (el instanceof HTMLInputElement && type === 'number') {
+                if (!Number.isNaN(shown))// don't clear input field on invalid input (e.g. minus sign without following number)
+                    el.value = shown
+            } else if (isDateInput) {
+                /**@type {HTMLInputElement}*/(el).value = shown instanceof Date ? utils.formatDateInput(shown, type) : shown ?? ''
+            } else if (isCustomElement && !isEditable) {  // custom controls get any value as it is, e.g. numbers or objects
+                if (/**@type {any}*/(el).value !== shown) /**@type {any}*/(el).value = shown
+            } else {
+                const text = String(shown ?? '')
+                // keep the text while typing, if it results in the same value, e.g. trailing spaces with the trim modifier
+                const isTyping = el === document.activeElement && deps.untracked(() => String(format(read(value, scope), scope) ?? '') === text)
+                if (isEditable) {
+                    if (!isTyping && el.textContent !== text) el.textContent = text
+                } else if (!isTyping) /**@type {any}*/(el).value = text
+            }
+            forms.update(el)  // the value might have been changed from outside the form
+
+            if (!registry(el).boundModel) {
+                registry(el).boundModel = true
+                const write = () => {
+                    const newScope = renderer.buildScope(el)
+                    if (el instanceof HTMLInputElement && type === 'checkbox') {
+                        const binding = js.get(expr, newScope, el, bindAttr)
+                        if (Array.isArray(binding)) {
+                            if (el.checked && !binding.includes(el.value))
+                                binding.push(el.value)
+                            else if (!el.checked && binding.includes(el.value))
+                                binding.splice(binding.indexOf(el.value), 1)
+                        } else
+                            js.set(expr, el.checked, newScope, el, bindAttr)
+                    } else if (el instanceof HTMLInputElement && type === 'radio') {
+                        if (el.checked) js.set(expr, el.value, newScope, el, bindAttr)
+                    } else
+                        js.set(expr, read(js.get(expr, newScope, el, bindAttr), newScope), newScope, el, bindAttr)
+                }
+                const handler = 'debounce' in mods ? utils.debounce(write, utils.parseDuration(mods.debounce) ?? 250) : write
+                const eventNames = 'lazy' in mods || type === 'file' ? ['change'] : isCustomElement ? ['input', 'change'] : ['input']
+                for (const eventName of eventNames)
+                    el.addEventListener(eventName, handler, { passive: true, signal: lifecycle.signal })
+            }
+        },
+
+        /**
+         * conditional class rendering: `<span phoebe-class:red="balance < 0">Balance</span>`
+         * @param {Element} el 
+         * @param {string} className 
+         * @param {string} expr 
+         * @param {object} scope 
+         */
+        handleClass(el, className, expr, scope) {
+            el.classList.toggle(className, !!js.get(expr, scope, el, 'phoebe-class:' + className))
+        },
+
+        // todo: remove binding if element goes out of scope (phoebe-for & phoebe-if)
+        /**
+         * dom node to variable binding: `<dialog phoebe-ref="dialogElement"></dialog>`
+         * @param {Element} el 
+         * @param {string} expr 
+         * @param {object} scope
+         */
+        handleReference(el, expr, scope) {
+            js.set(expr, el, scope, el, 'phoebe-ref')
+        },
+
+        /**
+         * provide the validation state of a form: `<form phoebe-form="signup">` and `<span>${signup.$errors.email}</span>`
+         * @param {Element} el 
+         * @param {string} expr 
+         * @param {object} scope 
+         */
+        handleForm(el, expr, scope) {
+            if (!(el instanceof HTMLFormElement))
+                return console.warn('Phoebe.js: phoebe-form should only be used on <form>, not on:', el)
+            js.set(expr, forms.stateOf(el), scope, el, 'phoebe-form')
+        },
+
+        /**
+         * custom validation of a form field: `<input name="username" phoebe-validate="value.length > 2 || 'too short'">`.
+         * the expression gets the field value as `value` and returns `true` (valid), `false` or an error message (invalid),
+         * or a promise of these for async validators
+         * @param {Element} el 
+         * @param {string} expr 
+         * @param {object} scope 
+         */
+        handleValidate(el, expr, scope) {
+            if (!(el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement || el instanceof HTMLSelectElement))
+                return console.warn('Phoebe.js: phoebe-validate should only be used on <input>, <textarea> and <select>, not on:', el)
+
+            const bindAttr = el.getAttributeNames().find(name => name === 'phoebe-bind' || name.startsWith('phoebe-bind:'))
+            const bindExpr = bindAttr && el.getAttribute(bindAttr)
+            const value = bindExpr ? js.get(bindExpr, scope, el, bindAttr) : el.value  // read the bound state to revalidate on its changes
+            const result = js.get(expr, { ...scope, value }, el, 'phoebe-validate')
+            const run = (registry(el).validationRun ?? 0) + 1
+            registry(el).validationRun = run
+
+            if (result && typeof result.then === 'function') {
+                registry(el).customError = null
+                registry(el).isValidating = true
+                forms.update(el)
+                Promise.resolve(result).then(res => forms.toError(res), e => String(e?.message ?? e)).then(error => {
+                    if (registry(el).validationRun !== run) return  // outdated by a newer value
+                    registry(el).customError = error
+                    registry(el).isValidating = false
+                    forms.update(el)
+                })
+            } else {
+                registry(el).customError = forms.toError(result)
+                registry(el).isValidating = false
+                forms.update(el)
+            }
+        },
+
+        /**
+         * scope events to the phoebe context: `<button phoebe:onclick="phoebeVar++">`.
+         * modifiers follow the event name: `<form phoebe:onsubmit:prevent="save()">`, `<input phoebe:onkeydown:ctrl.s:prevent="save()">`
+         * - `prevent`, `stop`: call `event.preventDefault()`, `event.stopPropagation()`
+         * - `once`: remove the listener after the first event passing the other modifiers
+         * - `capture`, `passive`: listener options
+         * - `self`: only events dispatched on the element itself, not on its descendants
+         * - `outside`: clicks (or other events) outside of the element
+         * - `window`, `document`: listen on the window or document
+         * - `debounce`, `throttle`: delay or drop handler calls, with an optional duration like `debounce.500ms`
+         * - everything else is a key filter like `enter`, `esc` or `ctrl.s`
+         * 
+         * the durations for handlers without modifiers can also be set with separate attributes like `phoebe:oninput:debounce="500ms"` and `phoebe:onscroll:throttle="100ms"`
+         * @param {Element} el 
+         * @param {string} eventSpec event name and modifiers, e.g. `click:prevent`
+         * @param {string} expr 
+         */
+        handleEvent(el, eventSpec, expr) {
+            const [eventName, ...modifiers] = eventSpec.split(':')
+            if (modifiers.length === 1 && (modifiers[0] === 'debounce' || modifiers[0] === 'throttle') && utils.parseDuration(expr) !== undefined)
+                return  // duration for the handler without modifiers, see below
+
+            if (!registry(el).boundEvents) registry(el).boundEvents = new Set()
+            if (!registry(el).boundEvents.has(eventSpec)) {
+
+                /** @type {Record<string, string>} modifier name to its argument, e.g. debounce -> 500ms */
+                const mods = {}
+                const keyFilters = []
+                for (const modifier of modifiers) {
+                    const [name, ...arg] = modifier.split('.')
+                    if (['prevent', 'stop', 'once', 'self', 'capture', 'passive', 'outside', 'window', 'document', 'debounce', 'throttle'].includes(name))
+                        mods[name] = arg.join('.')
+                    else keyFilters.push(modifier)
+                }
+
+                const debounceDuration = modifiers.length === 0 ? utils.parseDuration(el.getAttribute('phoebe:on' + eventName + ':debounce'))
+                    : 'debounce' in mods ? (utils.parseDuration(mods.debounce) ?? 250) : undefined
+                const throttleDuration = modifiers.length === 0 ? utils.parseDuration(el.getAttribute('phoebe:on' + eventName + ':throttle'))
+                    : 'throttle' in mods ? (utils.parseDuration(mods.throttle) ?? 250) : undefined
+
+                const isPassive = 'passive' in mods || eventName === 'touchstart' || eventName === 'touchmove' || eventName === 'wheel'
+                if (isPassive && 'prevent' in mods)
+                    console.warn('Phoebe.js: passive event listeners cannot prevent the default action:', eventSpec, 'on', el)
+
+                /** @param {Event} event */
+                const runHandler = event => {
+                    const newScope = renderer.buildScope(el)
+                    js.exec(expr, { ...newScope, event }, el, 'phoebe:on' + eventSpec)
+                }
+                const handler = debounceDuration ? utils.debounce(runHandler, debounceDuration)
+                    : throttleDuration ? utils.throttle(runHandler, throttleDuration)
+                        : runHandler
+
+                const target = 'window' in mods ? window : ('document' in mods || 'outside' in mods) ? document : el
+
+                const abortCtrl = new AbortController()
+                lifecycle.signal.addEventListener('abort', () => abortCtrl.abort(), { once: true, passive: true, signal: abortCtrl.signal })
+
+                /** @param {boolean} isDetached */
+                const removeListener = isDetached => {
+                    abortCtrl.abort()
+                    if (isDetached) registry(el).boundEvents.delete(eventSpec)  // bound again if the element gets rendered again
+                    const removers = outerListeners.get(el)
+                    removers?.delete(removeListener)
+                    if (removers?.size === 0) outerListeners.delete(el)
+                }
+
+                /**@type {EventListener} */
+                const eventListener = event => {
+                    if (!el.isConnected) return removeListener(true)  // listeners on window or document outlive the element
+                    if ('self' in mods && event.target !== el) return
+                    if ('outside' in mods && event.target instanceof Node && el.contains(event.target)) return
+                    if (!keyFilters.every(filter => utils.matchesKeys(filter, event))) return
+                    if ('once' in mods) removeListener(false)  // not the listener option, as the checks above might have rejected the event
+                    if ('prevent' in mods) event.preventDefault()
+                    if ('stop' in mods) event.stopPropagation()
+                    handler(event)
+                }
+
+                if (target !== el) {
+                    // remove the listeners of detached elements, e.g. of removed loop items, instead of waiting for their next event
+                    for (const [otherEl, removers] of outerListeners)
+                        if (!otherEl.isConnected) removers.forEach(remove => remove(true))
+                    if (!outerListeners.has(el)) outerListeners.set(el, new Set())
+                    outerListeners.get(el).add(removeListener)
+                }
+
+                target.addEventListener(eventName, eventListener, {
+                    passive: isPassive,
+                    capture: 'capture' in mods,
+                    signal: abortCtrl.signal
+                })
+                registry(el).boundEvents.add(eventSpec)
+            }
+        },
+
+        /**
+         * translate the content or an attribute, params are given by `phoebe-t-params`:
+         * - `<h1 phoebe-t="cart.title"></h1>`
+         * - `<input phoebe-t:placeholder="search" />`
+         * - `<p phoebe-t="cart.items" phoebe-t-params="{ count: items.length }"></p>`
+         * @param {Element} el 
+         * @param {string | null} attrName null for the content
+         * @param {string} key
+         * @param {object} scope 
+         */
+        handleTranslation(el, attrName, key, scope) {
+            const paramsExpr = el.getAttribute('phoebe-t-params')
+            const text = i18n ? i18n.t(key, paramsExpr ? js.get(paramsExpr, scope, el, 'phoebe-t-params') : {}) : key
+            if (attrName) el.setAttribute(attrName, text)
+            else el.textContent = text
+        },
+
+        /**
+         * render untrusted html, e.g. user comments: `<div phoebe-html="comment.html"></div>`
+         * @param {Element} el 
+         * @param {string} expr 
+         * @param {object} scope 
+         */
+        handleHtml(el, expr, scope) {
+            const html = js.get(expr, scope, el, 'phoebe-html')
+            el.replaceChildren(document.importNode(sanitizeHtml(html === undefined || html === null ? '' : String(html), config.html ?? {}), true))
+        },
+
+        /**
+         * update attribute values:
+         * - `<input type="range" phoebe:value="rangeVar" />`
+         * - `<input type="button" phoebe:disabled="inputText.length===0" />`
+         * - `<span class="item" phoebe:class="isGood ? 'green' : 'red'">...</span>`
+         * - `<span style="font-weight:bold" phoebe:style="isBad ? 'color:red' : ''">...</span>`
+         * @param {Element} el 
+         * @param {string} attrName
+         * @param {string} expr
+         * @param {object} scope 
+         */
+        handleAttribute(el, attrName, expr, scope) {
+            const value = js.get(expr, scope, el, 'phoebe:' + attrName)
+            if (attrName === 'style') {
+                if (registry(el).originalStyle === undefined)
+                    registry(el).originalStyle = (el.getAttribute('style') ?? '').trim()
+                /** @type {string} */
+                let computedStyle = (value ?? '').toString().trim()
+
+                let originalStyle = /** @type {string} */ (registry(el).originalStyle)
+
+                if (computedStyle.length > 0 || originalStyle.length > 0) {
+                    let newStyle = originalStyle
+                    if (newStyle.length > 0 && computedStyle.length > 0 && !newStyle.endsWith(';'))
+                        newStyle += ';'
+                    newStyle += computedStyle
+                    el.setAttribute('style', newStyle)
+                } else el.removeAttribute('style')
+            } else if (attrName === 'class') {
+                if (registry(el).originalClass === undefined)
+                    registry(el).originalClass = (el.getAttribute('class') ?? '').trim()
+                el.setAttribute(attrName, (registry(el).originalClass + ' ' + (value ?? '').toString()).trim())
+            } else {
+                if (value === undefined || value === null || value === false) el.removeAttribute(attrName)
+                else if (value === true) el.setAttribute(attrName, attrName)  // e.g. required="required" or disabled="disabled"
+                else el.setAttribute(attrName, value)
+            }
+        }
+    }
+
+
+    /** validation state of forms, based on the Constraint Validation API */
+    const forms = (() => {
+        /**
+         * @param {any} result of a validator
+         * @returns {string | null} error message
+         */
+        function toError(result) {
+            if (result === true || result === undefined || result === null || result === '') return null
+            if (result === false) return 'Invalid value'
+            return String(result)
+        }
+
+        /**
+         * @param {HTMLFormElement} form 
+         * @returns {FormState}
+         */
+        function stateOf(form) {
+            const reg = registry(form)
+            if (reg.formState) return reg.formState
+
+            reg.formState = reactivity.wrap({
+                $valid: true,
+                $dirty: false,
+                $touched: false,
+                $pending: false,
+                $errors: {},
+                $fields: {},
+                $validate() {
+                    for (const field of fieldsOf(form)) {
+                        fieldState(field).touched = true
+                        update(field)
+                    }
+                    return reg.formState.$valid
+                },
+                $reset() {
+                    form.reset()
+                }
+            })
+
+            /** @type {(listener: (field: Element) => void) => EventListener} */
+            const onField = listener => e => {
+                if (e.target instanceof Element && fieldsOf(form).includes(e.target)) listener(e.target)
+            }
+            const options = { signal: lifecycle.signal }
+            form.addEventListener('input', onField(field => {
+                fieldState(field).dirty = true
+                update(field)
+            }), options)
+            form.addEventListener('change', onField(update), options)
+            form.addEventListener('focusout', onField(field => {
+                fieldState(field).touched = true
+                aggregate(form)
+            }), options)
+            form.addEventListener('submit', () => reg.formState.$validate(), options)
+            form.addEventListener('reset', () => setTimeout(() => {  // the fields are reset after the event
+                for (const field of fieldsOf(form)) {
+                    const fs = fieldState(field)
+                    fs.dirty = fs.touched = false
+                    field.dispatchEvent(new Event('input', { bubbles: true }))  // update the bindings
+                    fs.dirty = false
+                }
+                aggregate(form)
+            }, 0), options)
+
+            queueMicrotask(() => fieldsOf(form).forEach(field => update(field)))  // after the bindings have set the initial values
+            return reg.formState
+        }
+
+        /**
+         * the named fields of a form, which are validated
+         * @param {HTMLFormElement} form 
+         * @returns {Element[]}
+         */
+        function fieldsOf(form) {
+            return Array.from(form.elements).filter(field => field.getAttribute('name') &&
+                (field instanceof HTMLInputElement || field instanceof HTMLTextAreaElement || field instanceof HTMLSelectElement))
+        }
+
+        /**
+         * @param {Element} field 
+         */
+        function fieldState(field) {
+            const state = registry(/**@type {HTMLInputElement}*/(field).form).formState
+            const name = field.getAttribute('name')
+            if (!state.$fields[name])
+                state.$fields[name] = { valid: true, error: null, dirty: false, touched: false, pending: false }
+            return state.$fields[name]
+        }
+
+        /**
+         * validate a field and update the state of its form
+         * @param {Element} el 
+         */
+        function update(el) {
+            const field = /**@type {HTMLInputElement} */ (el)
+            if (!field.form || !registry(field.form).formState || !field.getAttribute('name')) return
+
+            deps.untracked(() => {  // called by the effects of bindings and validators, which must not depend on the form state
+                field.setCustomValidity(registry(field).customError ?? '')
+                const fs = fieldState(field)
+                fs.pending = !!registry(field).isValidating
+                fs.valid = field.validity.valid
+                fs.error = fs.valid ? null : (registry(field).customError || field.validationMessage || 'Invalid value')
+
+                const errors = registry(field.form).formState.$errors
+                if (fs.error) errors[field.name] = fs.error
+                else delete errors[field.name]
+                aggregate(field.form)
+            })
+        }
+
+        /**
+         * @param {HTMLFormElement} form 
+         */
+        function aggregate(form) {
+            const state = registry(form).formState
+            const fields = Object.keys(state.$fields).map(name => state.$fields[name])
+            state.$pending = fields.some(fs => fs.pending)
+            state.$valid = !state.$pending && fields.every(fs => fs.valid)
+            state.$dirty = fields.some(fs => fs.dirty)
+            state.$touched = fields.some(fs => fs.touched)
+        }
+
+        return { stateOf, update, toError }
+    })()
+
+
+    /** coordinate dom manipulation */
+    const renderer = (() => {
+        /** @type {Set<Element>} subtrees to render completely */
+        let rerenderEls = new Set()
+
+        /** @type {Set<DomEffect>} single directives and structural elements to rerun */
+        let pendingEffects = new Set()
+
+        const scheduler = config.scheduler ?? 33  // render at 30fps max by default
+
+        /** @type {(() => void) | null} cancels the scheduled flush */
+        let cancelFlush = null
+        let isFlushing = false
+        let isStopped = false
+
+        /** @type {(() => void)[]} resolve the promises of `nextTick()` */
+        let idleCallbacks = []
+
+        /** @type {Element | null} the element currently processed by a full render of its subtree */
+        let processingEl = null
+
+        function requestFlush() {
+            if (cancelFlush !== null || isStopped) return
+            if (scheduler === 'sync') {
+                if (!isFlushing && !processingEl) flushAll()  // otherwise flushed when the running rendering has finished
+            } else if (scheduler === 'microtask') {
+                let isCancelled = false
+                queueMicrotask(() => isCancelled || flush())
+                cancelFlush = () => isCancelled = true
+            } else if (scheduler === 'animationFrame') {
+                const handle = requestAnimationFrame(flush)
+                cancelFlush = () => cancelAnimationFrame(handle)
+            } else {
+                const handle = setTimeout(flush, scheduler)
+                cancelFlush = () => clearTimeout(handle)
+            }
+        }
+
+        function flush() {
+            cancelFlush?.()  // when called directly
+            cancelFlush = null
+            isFlushing = true
+            try {
+                const effects = Array.from(pendingEffects).filter(effect => {
+                    if (effect.el.isConnected) return true
+                    deps.cleanup(effect)  // hidden or removed elements resubscribe when they get rendered again
+                    return false
+                })
+                pendingEffects = new Set()  // effects triggered from now on run in the next flush
+
+                // parents first, as they might replace the elements of pending child effects
+                effects.sort((a, b) => {
+                    if (a.el === b.el) return +(a.attrName !== null) - +(b.attrName !== null)
+                    return a.el.compareDocumentPosition(b.el) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+                })
+                effects.forEach(effect => guarded(effect.el, () => runEffect(effect)))
+
+                while (rerenderEls.size > 0)
+                    rerenderEls.forEach(rerenderEl => {
+                        rerenderEls.delete(rerenderEl)
+                        renderTree(rerenderEl)
+                    })
+            } finally {
+                isFlushing = false
+            }
+            if (isIdle()) resolveIdleCallbacks()
+        }
+
+        /**
+         * render all pending changes right away, including the ones made while rendering
+         */
+        function flushAll() {
+            for (let round = 0; !isIdle() && !isStopped && !isFlushing; round++) {
+                if (round === 100) return console.warn('Phoebe.js: rendering does not settle, the state keeps changing while rendering')
+                flush()
+            }
+        }
+
+        /**
+         * @returns {Promise<void>} resolves once the pending changes have been rendered
+         */
+        function nextTick() {
+            if (isIdle() || isStopped) return Promise.resolve()
+            return new Promise(resolve => idleCallbacks.push(resolve))
+        }
+
+        function resolveIdleCallbacks() {
+            const callbacks = idleCallbacks
+            idleCallbacks = []
+            callbacks.forEach(callback => callback())
+        }
+
+        /**
+         * render the element and all its descendants
+         * @param {Element} el
+         */
+        function schedule(el) {
+            if (isStopped || processingEl?.contains(el)) return  // el gets rendered anyway by the currently running traversal
+
+            if (rerenderEls.size === 0) {
+                rerenderEls.add(el)  // before requesting the flush, which runs right away with the sync scheduler
+                if (!isFlushing) requestFlush()
+            } else if (!rerenderEls.has(el)) {
+                let shouldAdd = true
+                for (const rerenderEl of rerenderEls)
+                    if (rerenderEl.contains(el)) {
+                        shouldAdd = false
+                        break
+                    }
+                if (shouldAdd) rerenderEls.add(el)
+            }
+        }
+
+        /**
+         * get the effect of a directive or a structural element (`attrName` = null)
+         * @param {Element} el 
+         * @param {string | null} attrName 
+         * @returns {DomEffect}
+         */
+        function effectOf(el, attrName) {
+            const reg = registry(el)
+            if (!reg.effects) reg.effects = new Map()
+            let effect = reg.effects.get(attrName)
+            if (!effect) {
+                effect = {
+                    el,
+                    attrName,
+                    deps: new Set(),
+                    notify() {
+                        if (isStopped) return
+                        pendingEffects.add(effect)
+                        requestFlush()
+                    }
+                }
+                reg.effects.set(attrName, effect)
+            }
+            return effect
+        }
+
+        /**
+         * rerun a single directive or structural element because its dependencies changed
+         * @param {DomEffect} effect 
+         */
+        function runEffect(effect) {
+            const el = effect.el
+            if (!el.isConnected) return deps.cleanup(effect)  // removed by a previous effect
+            const scope = buildScope(el)
+            if (effect.attrName === null) {
+                renderElement(/**@type {PhoebeElement}*/(el), scope)
+            } else if (el.hasAttribute(effect.attrName)) {
+                processAttribute(el, effect.attrName, scope)
+                if (effect.attrName === 'phoebe:class')  // phoebe:class overwrites the classes of phoebe-class:xxx
+                    el.getAttributeNames()
+                        .filter(attrName => attrName.startsWith('phoebe-class:'))
+                        .forEach(attrName => processAttribute(el, attrName, scope))
+            } else deps.cleanup(effect)
+        }
+
+        /** 
+         * `<phoebe-for>` elements set a context via item and index variable. 
+         * the scope of an element is the combined context of all ancestor `<phoebe-for>` & `<phoebe-with>` elements
+         * up to the closest `<phoebe-component>`, which sets the props and local state for its content.
+         * slotted content belongs to the scope of the component itself
+         * @param {Element} el 
+         */
+        function buildScope(el) {
+            /** @type {object} */
+            let scope = {}
+
+            if (registry(el).contextAncestors === undefined) {
+                /** @type {Element[]} */
+                let loopEls = []
+
+                /** @type {Element | null} */
+                let parent = el
+
+                while (parent && parent !== rootNode) {
+                    if (slotOwners.has(parent)) {
+                        parent = slotOwners.get(parent)
+                        continue
+                    }
+                    const reg = registry(parent)
+                    if (reg.loopContextValue || reg.withContextValue || reg.componentContextValue) loopEls.push(parent)
+                    if (reg.componentContextValue) break  // components have an isolated scope
+                    parent = parent.parentElement
+                }
+
+                registry(el).contextAncestors = (loopEls.length > 0) ? loopEls : false
+            }
+
+
+            const ancestors = registry(el).contextAncestors
+            if (ancestors)
+                for (const anc of ancestors) {
+                    const reg = registry(anc)
+                    if (reg.loopContextValue) scope = { ...scope, ...reg.loopContextValue }
+                    if (reg.withContextValue) scope = { ...scope, ...reg.withContextValue }
+                    if (reg.componentContextValue) scope = { ...scope, ...reg.componentContextValue }
+                }
 
-    /** a registry to keep additional properties for dom nodes */
-    const registry = (() => {
-        /**@type {WeakMap<Element, object>} */
-        const map = new WeakMap()
+            return scope
+        }
+
+
+        /** 
+         * @param {Element} root
+         * @param {(el: Element) => void} callback
+         */
+        function traverseDom(root, callback) {
+            if (!root) return
+
+            const stack = [root]
+            while (stack.length > 0) {
+                const el = stack.pop()
+                if (!(el instanceof Element)) continue
+
+                callback(el)
+
+                // Push children in reverse order so they are processed in DOM order
+                let child = el.lastElementChild
+                while (child instanceof Element) {
+                    if (!instances.has(child)) stack.push(child)  // nested root nodes are rendered by their own instance
+                    child = child.previousElementSibling
+                }
+            }
+        }
 
         /**
-         * @param {Element} el 
-         * @returns {Partial<{
-         *  boundModel: boolean
-         *  boundEvents: Set<string>
-         *  originalStyle: string
-         *  originalClass: string
-         *  loopContextValue: object
-         *  withContextValue: object
-         *  contextAncestors: Array<Element> | false
-         * }>}
+         * @param {PhoebeElement} el 
+         * @param {object} scope 
          */
-        return function (el) {
-            if (!map.has(el)) map.set(el, {})
-            return map.get(el)
+        function renderElement(el, scope) {
+            deps.run(effectOf(el, null), () => el.render(scope))
         }
-    })()
 
-    const utils = {
         /**
-         * parses durations in secs or millisecs 
-         * @param {string|null} value e.g. "5s" or "50ms"
-         * @returns {number|undefined} value in millisecs
+         * @param {Element} el 
+         * @param {string} attrName 
+         * @param {object} scope 
          */
-        parseDuration(value) {
-            if (typeof value !== 'string') return undefined
-            const strVal = value.trim().toLowerCase()
-            const numVal = parseFloat(strVal)
+        function processAttribute(el, attrName, scope) {
+            if (attrName.startsWith('phoebe:on') && attrName.length > 'phoebe:on'.length)
+                return directives.handleEvent(el, attrName.substring('phoebe:on'.length), /**@type {string!}*/(el.getAttribute(attrName)))
+
+            deps.run(effectOf(el, attrName), () => {
+                if (attrName === 'phoebe-bind' || attrName.startsWith('phoebe-bind:'))
+                    directives.handleBinding(el, /**@type {string!}*/(el.getAttribute(attrName)), scope, attrName.split(':').slice(1))
+                else if (attrName === 'phoebe-ref')
+                    directives.handleReference(el, /**@type {string!}*/(el.getAttribute(attrName)), scope)
+                else if (attrName === 'phoebe-form')
+                    directives.handleForm(el, /**@type {string!}*/(el.getAttribute(attrName)), scope)
+                else if (attrName === 'phoebe-validate')
+                    directives.handleValidate(el, /**@type {string!}*/(el.getAttribute(attrName)), scope)
+                else if (attrName === 'phoebe-html')
+                    directives.handleHtml(el, /**@type {string!}*/(el.getAttribute(attrName)), scope)
+                else if (attrName === 'phoebe-t')
+                    directives.handleTranslation(el, null, /**@type {string!}*/(el.getAttribute(attrName)), scope)
+                else if (attrName.startsWith('phoebe-t:'))
+                    directives.handleTranslation(el, attrName.substring('phoebe-t:'.length), /**@type {string!}*/(el.getAttribute(attrName)), scope)
+                else if (attrName.startsWith('phoebe-class:'))
+                    directives.handleClass(el, attrName.substring('phoebe-class:'.length), /**@type {string!}*/(el.getAttribute(attrName)), scope)
+                else if (attrName.startsWith('phoebe:') && attrName.length > 'phoebe:'.length)
+                    directives.handleAttribute(el, attrName.substring('phoebe:'.length), /**@type {string!}*/(el.getAttribute(attrName)), scope)
+                else
+                    console.warn('Phoebe.js: Unknown attribute', attrName, 'found at', el)
+            })
+        }
 
-            if (Number.isFinite(numVal) && (strVal.endsWith('ms') || strVal.endsWith('s'))) {
-                const isSeconds = !strVal.endsWith('ms')
-                return isSeconds ? numVal * 1000 : numVal
-            } else return undefined
-        },
+        /** 
+         * @param {Element} el 
+         */
+        function processElement(el) {
+            /**@type {object} */
+            let scope = undefined
+
+            if (el instanceof PhoebeElement) {
+                scope = buildScope(el)
+                guarded(el, () => renderElement(el, scope))
+            }
+
+            const optionAttrs = ['phoebe-t-params', 'phoebe-bind-parse', 'phoebe-bind-format']  // evaluated by their directive, like props by <phoebe-component>
+            const phoebeAttrs = el.getAttributeNames().filter(attr => attr.startsWith("phoebe") && !attr.startsWith("phoebe:prop-") && !optionAttrs.includes(attr))
+            if (phoebeAttrs.length > 0) {
+                if (!scope) scope = buildScope(el)
+                phoebeAttrs.sort((a, b) => +(a === "phoebe:class") - +(b === "phoebe:class"))  // execute phoebe:class="xxx yyy" before phoebe-class:zzz="expr"
+                phoebeAttrs.forEach(attrName => guarded(el, () => processAttribute(el, attrName, scope)))
+            }
+        }
 
         /**
-         * 
-         * @param {Function} func 
-         * @param {number} delay 
-         * @returns 
+         * run a rendering step, with the `continueOnError` option errors don't abort the whole rendering
+         * @param {Element} el 
+         * @param {() => void} fn 
          */
-        debounce(func, delay) {
-            let timer = null
-            return function (...args) {
-                clearTimeout(timer)
-                timer = setTimeout(() => func.apply(this, args), delay)
+        function guarded(el, fn) {
+            if (!config.continueOnError) return fn()
+            try {
+                fn()
+            } catch (e) {
+                if (errors.report(e, null, el)) console.error('Phoebe.js: error', e, 'rendering', el)  // errors of phoebe strings are logged already
             }
         }
-    }
 
+        /**
+         * @param {Element} el 
+         */
+        function renderTree(el) {
+            if (el.isConnected) // filter out elements in <template> as these don't need to be rendered
+                traverseDom(el, el => {
+                    const prevProcessingEl = processingEl
+                    processingEl = el
+                    try {
+                        processElement(el)
+                    } finally {
+                        processingEl = prevProcessingEl
+                    }
+                })
+            if (scheduler === 'sync' && !processingEl && !isFlushing) flushAll()  // changes made while rendering
+        }
 
-    /** utils to execute javascript snippets contained in phoebe strings */
-    const js = (() => {
-        /** @type {Map<string, Function>} */
-        const cache = new Map()
+        /**
+         * stop rendering for good
+         */
+        function stop() {
+            isStopped = true
+            cancelFlush?.()
+            cancelFlush = null
+            pendingEffects.forEach(deps.cleanup)
+            pendingEffects.clear()
+            rerenderEls.clear()
+            resolveIdleCallbacks()
+        }
 
-        const varSuffix = Math.random().toString(36).slice(2)
         /**
-         * due to the with-construct, unique variable names are required to not clash with a key in `state` or `scope`
-         * @private
-         * @param {string} varName
+         * @returns {boolean} whether no rendering is pending
          */
-        function uniqueVarName(varName) {
-            return `_phoebe_${varName}_${varSuffix}`
+        function isIdle() {
+            return rerenderEls.size === 0 && pendingEffects.size === 0
         }
 
+        return { renderTree, schedule, buildScope, flush: flushAll, nextTick, isIdle, stop }
+    })()
 
-        return {
-            /**
-             * get a value from a javascript expression
-             * @param {string} expr 
-             * @param {object} scope 
-             * @param {Element} _this 
-             */
-            get(expr, scope, _this) {
-                try {
-                    const cache_key = 'get:' + expr
-                    if (!cache.has(cache_key))
-                        cache.set(cache_key, new Function(
-                            uniqueVarName('state'),
-                            uniqueVarName('scope'),
-                            `with(${uniqueVarName('state')}){ with(${uniqueVarName('scope')}){ return (${expr}) } }`
-                        ))
-                    return cache.get(cache_key).call(_this, state, scope)
-                } catch (e) {
-                    console.error('Phoebe.js: error', e, 'executing js.get() with', expr, 'and scope', scope, 'on', _this)
-                    throw e
+
+    /** react on state changes outside of templates */
+    const watcher = (() => {
+        /** @type {Set<() => void>} */
+        const pendingJobs = new Set()
+
+        /** @type {Set<() => void>} stop functions of all active watchers */
+        const activeWatchers = new Set()
+
+        function flush() {
+            const jobs = Array.from(pendingJobs)
+            pendingJobs.clear()
+            jobs.forEach(job => job())
+        }
+
+        /**
+         * read all nested values to subscribe to them
+         * @param {any} value 
+         * @param {Set<object>} seen 
+         */
+        function traverse(value, seen = new Set()) {
+            if (value === null || typeof value !== 'object' || seen.has(value)) return value
+            seen.add(value)
+            if (value instanceof Map || value instanceof Set) value.forEach(item => traverse(item, seen))
+            else for (const key in value) traverse(value[key], seen)
+            return value
+        }
+
+        /**
+         * copy the nested arrays, plain objects, maps and sets of a value, as the old value of deep watchers.
+         * other objects like dates or class instances are not copied, getters are left out
+         * @param {any} value 
+         * @param {Map<object, any>} copies of objects occurring several times
+         * @returns {any}
+         */
+        function snapshot(value, copies = new Map()) {
+            value = reactivity.toRaw(value)
+            if (value === null || typeof value !== 'object') return value
+            if (copies.has(value)) return copies.get(value)
+
+            /** @type {any} */
+            let result
+            if (value instanceof Map) {
+                copies.set(value, result = new Map())
+                value.forEach((v, k) => result.set(k, snapshot(v, copies)))
+            } else if (value instanceof Set) {
+                copies.set(value, result = new Set())
+                value.forEach(v => result.add(snapshot(v, copies)))
+            } else if (Array.isArray(value)) {
+                copies.set(value, result = [])
+                value.forEach((v, i) => result[i] = snapshot(v, copies))
+            } else if (utils.isPlainObject(value)) {
+                copies.set(value, result = {})
+                for (const key of Object.keys(value)) {
+                    const descriptor = Object.getOwnPropertyDescriptor(value, key)
+                    if ('value' in descriptor) result[key] = snapshot(descriptor.value, copies)
                 }
-            },
+            } else result = value
+            return result
+        }
+
+        /**
+         * run a callback whenever the value of an expression changes. 
+         * changes within the same task are batched into one callback call
+         * @param {string | ((state: object) => any)} expr phoebe expression or getter function
+         * @param {(newValue: any, oldValue: any) => void} callback 
+         * @param {{immediate?: boolean, deep?: boolean}} options 
+         *  `immediate`: run the callback for the current value, 
+         *  `deep`: also run the callback on changes of nested values, the old value is a copy of the nested arrays, objects, maps and sets
+         * @returns {() => void} stop watching
+         */
+        function watch(expr, callback, { immediate = false, deep = false } = {}) {
+            const getter = typeof expr === 'function' ? () => expr(state) : () => js.get(expr, {}, rootNode)
+
+            let isStopped = false
+            let oldValue = undefined
+
+            /** @type {Effect} */
+            const effect = {
+                deps: new Set(),
+                notify() {
+                    if (pendingJobs.size === 0) queueMicrotask(flush)
+                    pendingJobs.add(job)
+                }
+            }
+
+            const collect = () => deps.run(effect, () => deep ? traverse(getter()) : getter())
+
             /**
-             * assign a javascript expression a value 
-             * @param {string} expr 
-             * @param {any} value 
-             * @param {object} scope 
-             * @param {Element} _this 
+             * @param {any} newValue 
+             * @param {any} prevValue 
              */
-            set(expr, value, scope, _this) {
+            const runCallback = (newValue, prevValue) => {
                 try {
-                    const cache_key = 'set:' + expr
-                    if (!cache.has(cache_key))
-                        cache.set(cache_key, new Function(
-                            uniqueVarName('state'),
-                            uniqueVarName('scope'),
-                            uniqueVarName('value'),
-                            `with(${uniqueVarName('state')}) { with(${uniqueVarName('scope')}){ ${expr} = ${uniqueVarName('value')} } }`
-                        ))
-                    cache.get(cache_key).call(_this, state, scope, value)
+                    deps.untracked(() => callback.call(state, newValue, prevValue))
                 } catch (e) {
-                    console.error('Phoebe.js: error', e, 'executing js.set() with', expr, '=', value, 'and scope', scope, 'on', _this)
+                    console.error('Phoebe.js: error', e, 'in watch callback for', expr)
                 }
-            },
-            /**
-             * execute a javascript expression
-             * @param {string} expr 
-             * @param {object} scope 
-             * @param {Element} _this 
-             */
-            exec(expr, scope, _this) {
+            }
+
+            const job = () => {
+                if (isStopped) return
+                let newValue
                 try {
-                    const cache_key = 'exec:' + expr
-                    if (!cache.has(cache_key))
-                        cache.set(cache_key, new Function(
-                            uniqueVarName('state'),
-                            uniqueVarName('scope'),
-                            `with(${uniqueVarName('state')}){ with(${uniqueVarName('scope')}){ ${expr} } }`
-                        ))
-                    cache.get(cache_key).call(_this, state, scope)
-                } catch (e) {
-                    console.error('Phoebe.js: error', e, 'executing js.exec() with', expr, 'and scope', scope, 'on', _this)
+                    newValue = collect()
+                } catch {
+                    return  // already logged by js.get()
                 }
+                if (deep || !Object.is(newValue, oldValue)) {  // deep watched objects are mutated in place
+                    const prevValue = oldValue
+                    oldValue = deep ? snapshot(newValue) : newValue
+                    runCallback(newValue, prevValue)
+                }
+            }
+
+            const initialValue = collect()
+            oldValue = deep ? snapshot(initialValue) : initialValue
+            if (immediate) runCallback(initialValue, undefined)
+
+            const stop = () => {
+                isStopped = true
+                deps.cleanup(effect)
+                activeWatchers.delete(stop)
             }
+            activeWatchers.add(stop)
+            return stop
+        }
+
+        function stopAll() {
+            activeWatchers.forEach(stop => stop())
         }
+
+        return { watch, stopAll }
     })()
 
+    /** translations with message catalogs, which are loaded on demand */
+    const i18n = config.i18n ? (() => {
+        const { fallbackLocale, load } = config.i18n
 
-    /** reactive state of the phoebe instance */
-    const state = (() => {
-        /**@type {WeakMap<object, ProxyHandler>} */
-        const cache = new WeakMap()
+        /** @type {Map<string, Promise<void>>} */
+        const loading = new Map()
 
         /**
-         * make state reactive
-         * @template T
-         * @param {T} target 
-         * @returns {ProxyHandler<T>}
+         * load the message catalog of a locale, if missing
+         * @param {string} locale 
+         * @returns {Promise<void>}
          */
-        function wrap(target) {
+        function loadMessages(locale) {
+            if (current.messages[locale] || !load) return Promise.resolve()
+            if (!loading.has(locale)) {
+                const promise = (typeof load === 'function' ? load(locale) : fetch(load.replace('{locale}', locale)).then(res => {
+                    if (!res.ok) throw new Error(`HTTP ${res.status}`)
+                    return res.json()
+                }))
+                loading.set(locale, promise
+                    .then(messages => { current.messages[locale] = messages })
+                    .catch(e => console.error('Phoebe.js: error', e, 'loading the messages of locale', locale)))
+            }
+            return loading.get(locale)
+        }
 
-            if (!target
-                || typeof target !== "object"
-                || (target instanceof Element)
-                || (target instanceof Date)
-                || (target instanceof RegExp)
-            ) return target
+        /**
+         * @param {string} locale 
+         * @param {string} key 
+         * @returns {any} the message, undefined if missing
+         */
+        function lookup(locale, key) {
+            const catalog = current.messages[locale]
+            if (!catalog) return undefined
+            if (Object.prototype.hasOwnProperty.call(catalog, key)) return catalog[key]
+            return key.split('.').reduce((obj, part) => obj?.[part], catalog)
+        }
 
-            if (cache.has(target)) return cache.get(target)
+        /**
+         * @param {string} key e.g. `cart.title`
+         * @param {Record<string, any>} params values for the placeholders
+         * @returns {string} the message, the key itself if missing
+         */
+        function t(key, params = {}) {
+            const locale = current.locale
+            if (!current.messages[locale]) deps.untracked(() => loadMessages(locale))  // rendered again once loaded
+            for (const candidate of [locale, locale.split('-')[0], fallbackLocale]) {
+                const message = candidate ? lookup(candidate, key) : undefined
+                if (typeof message === 'string') return formatMessage(message, params, locale)
+            }
+            return key
+        }
 
-            const proxy = new Proxy(target, {
-                get(target, key, receiver) {
-                    const value = Reflect.get(target, key, receiver)
-                    return wrap(value) // wrap nested objects // todo: check value type here and save a recursive call
-                },
-                set(target, key, value, receiver) {
-                    const old = target[key]
-                    if (old !== value) renderer.schedule(rootNode)  // todo: don't rerender whole dom, track dependencies
-                    return Reflect.set(target, key, value, receiver)
-                },
-                deleteProperty(target, key) {
-                    const hadKey = key in target
-                    if (hadKey) renderer.schedule(rootNode)  // todo: don't rerender whole dom, track dependencies
-                    return Reflect.deleteProperty(target, key)
+        /** @type {I18n} */
+        const current = reactivity.wrap({
+            locale: config.i18n.locale,
+            messages: { ...config.i18n.messages },
+            async setLocale(locale) {
+                await loadMessages(locale)
+                current.locale = locale
+            },
+            t
+        })
+
+        // set lang and dir of the document, e.g. for fonts, hyphenation and right-to-left languages
+        const langEl = rootNode === document.body ? document.documentElement : rootNode
+        watcher.watch(() => current.locale, locale => {
+            langEl.setAttribute('lang', locale)
+            const rtlLanguages = ['ar', 'dv', 'fa', 'he', 'ps', 'sd', 'ug', 'ur', 'yi']
+            langEl.setAttribute('dir', rtlLanguages.includes(locale.split('-')[0]) ? 'rtl' : 'ltr')
+        }, { immediate: true })
+
+        return current
+    })() : undefined
+
+    /** save parts of the state in a storage and restore them on init */
+    const persistence = (() => {
+        if (!config.persist) return undefined
+
+        /** @type {PersistOptions} */
+        const options = Array.isArray(config.persist) ? { paths: config.persist } : config.persist
+        const { paths, key = 'phoebe', storage = 'localStorage', version = 1, migrations = {}, throttle = 500 } = options
+
+        /** @type {{read(): any, write(value: string): any}} read returns the stored string, possibly as promise */
+        const backend = storage === 'indexedDB' ? {
+            read: () => idbRequest('readonly', store => store.get(key)),
+            write: value => idbRequest('readwrite', store => store.put(value, key))
+        } : {
+            read: () => window[storage].getItem(key),
+            write: value => window[storage].setItem(key, value)
+        }
+
+        /**
+         * run a request on the object store of the phoebe database
+         * @param {IDBTransactionMode} mode 
+         * @param {(store: IDBObjectStore) => IDBRequest} request 
+         * @returns {Promise<any>}
+         */
+        function idbRequest(mode, request) {
+            return new Promise((resolve, reject) => {
+                const open = indexedDB.open('phoebe', 1)
+                open.onupgradeneeded = () => open.result.createObjectStore('state')
+                open.onerror = () => reject(open.error)
+                open.onsuccess = () => {
+                    const db = open.result
+                    const req = request(db.transaction('state', mode).objectStore('state'))
+                    req.onsuccess = () => resolve(req.result)
+                    req.onerror = () => reject(req.error)
+                    req.transaction.oncomplete = () => db.close()
                 }
             })
+        }
 
-            cache.set(target, proxy)
+        /**
+         * @param {object} obj 
+         * @param {string} path e.g. `settings.theme`
+         */
+        function getPath(obj, path) {
+            return path.split('.').reduce((value, part) => value?.[part], obj)
+        }
 
-            return proxy
+        /**
+         * merge stored values into the state, so that keys added in the meantime keep their initial values
+         * @param {Record<string, any>} target 
+         * @param {Record<string, any>} source 
+         */
+        function merge(target, source) {
+            for (const prop in source) {
+                const descriptor = Object.getOwnPropertyDescriptor(target, prop)
+                if (descriptor && !('value' in descriptor)) continue  // computed values are not restored
+                const value = source[prop]
+                if (utils.isPlainObject(target[prop]) && utils.isPlainObject(value)) merge(target[prop], value)
+                else target[prop] = value
+            }
+        }
+
+        /**
+         * @param {string | null | undefined} stored 
+         */
+        function apply(stored) {
+            if (stored === null || stored === undefined) return
+            try {
+                let { version: storedVersion, data } = JSON.parse(stored)
+                if (storedVersion > version)
+                    return console.warn('Phoebe.js: ignoring persisted state of newer version', storedVersion, 'than', version)
+                for (let v = storedVersion + 1; v <= version; v++)
+                    if (migrations[v]) data = migrations[v](data)
+                for (const path of paths) {
+                    if (!(path in data)) continue
+                    const parts = path.split('.')
+                    const parent = parts.length === 1 ? state : getPath(state, parts.slice(0, -1).join('.'))
+                    if (parent === null || typeof parent !== 'object') {
+                        console.warn('Phoebe.js: cannot restore persisted path', path, 'as its parent is not an object')
+                        continue
+                    }
+                    if (utils.isPlainObject(parent[parts[parts.length - 1]]) && utils.isPlainObject(data[path]))
+                        merge(parent[parts[parts.length - 1]], data[path])
+                    else
+                        merge(parent, { [parts[parts.length - 1]]: data[path] })
+                }
+            } catch (e) {
+                console.warn('Phoebe.js: cannot restore persisted state:', e)
+            }
+        }
+
+        let lastWritten = null
+
+        /** @type {ReturnType<typeof setTimeout> | null} */
+        let writeHandle = null
+
+        function write() {
+            writeHandle = null
+            const data = {}
+            for (const path of paths) data[path] = getPath(state, path)
+            const value = JSON.stringify({ version, data })
+            if (value === lastWritten) return  // a not persisted part of the state has changed
+            lastWritten = value
+            /** @param {any} e */
+            const onError = e => console.warn('Phoebe.js: cannot persist state:', e)
+            try {
+                const result = backend.write(value)  // synchronous for localStorage, so that it also completes on page hide
+                if (result instanceof Promise) result.catch(onError)
+            } catch (e) {
+                onError(e)
+            }
+        }
+
+        function flush() {
+            if (writeHandle !== null) {
+                clearTimeout(writeHandle)
+                write()
+            }
+        }
+
+        /**
+         * restore the persisted state and start saving changes
+         * @returns {Promise<void> | undefined} a promise, if the storage is asynchronous
+         */
+        function restore() {
+            const start = () => {
+                lastWritten = null
+                reactivity.onMutation(() => {
+                    if (writeHandle === null && !lifecycle.signal.aborted) writeHandle = setTimeout(write, throttle)
+                })
+                window.addEventListener('pagehide', flush, { signal: lifecycle.signal })  // don't lose the last changes
+                lifecycle.signal.addEventListener('abort', flush, { once: true })
+            }
+
+            let stored
+            try {
+                stored = backend.read()
+            } catch (e) {
+                console.warn('Phoebe.js: cannot restore persisted state:', e)
+            }
+            if (stored instanceof Promise)
+                return stored
+                    .catch(e => console.warn('Phoebe.js: cannot restore persisted state:', e))
+                    .then(value => {
+                        apply(value)
+                        start()
+                    })
+            apply(stored)
+            start()
+            return undefined
         }
 
-        return wrap(initialValues)
+        return { restore }
     })()
 
+    /** the state changes as a stream of patches, to sync the state with other tabs or a server */
+    const sync = (() => {
+        const paths = config.sync?.paths?.map(path => path.split('.'))
 
-    /** handlers to apply phoebe directives to the dom */
-    const directives = {
-        /** 
-         * two-way binding for the value of input elements: <input type="text" phoebe-bind="name" />
-         * @param {Element} el
-         * @param {string} expr
-         * @param {object} scope
+        /** @type {Set<(patches: Patch[]) => void>} */
+        const subscribers = new Set()
+
+        /** @type {Patch[] | null} patches to send at the end of the task */
+        let pending = null
+        let isApplying = false
+
+        /**
+         * @param {any[]} path 
+         * @returns {string} a JSON Pointer
          */
-        handleBinding(el, expr, scope) {
-            if (!expr || expr.length === 0) return console.warn('Phoebe.js: phoebe-bind cannot be empty:', el)
+        function toPointer(path) {
+            return path.map(key => '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1')).join('')
+        }
 
-            if (!(el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement || el instanceof HTMLSelectElement))
-                return console.warn('Phoebe.js: phoebe-bind should only be used on <input>, <textarea> and <select>, not on:', el)
+        /**
+         * @param {string} pointer 
+         * @returns {string[]} the keys
+         */
+        function fromPointer(pointer) {
+            return pointer.split('/').slice(1).map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+        }
 
-            const value = js.get(expr, scope, el)
-            if (el instanceof HTMLInputElement && el.type === 'checkbox') {
-                el.checked = Array.isArray(value) ? value.includes(el.value) : !!value
-            } else if (el instanceof HTMLInputElement && el.type === 'radio') {
-                el.checked = value === el.value
-            } else if (el instanceof HTMLInputElement && el.type === 'number') {
-                if (!Number.isNaN(value))// don't clear input field on invalid input (e.g. minus sign without following number)
-                    el.value = value
+        /**
+         * copy the data of a value: without functions, getters and dom nodes, which can't be sent
+         * @param {any} value 
+         * @param {Map<object, any>} copies of objects occurring several times
+         * @returns {any}
+         */
+        function copy(value, copies = new Map()) {
+            value = reactivity.toRaw(value)
+            if (typeof value === 'function' || value instanceof Node || value instanceof WeakMap || value instanceof WeakSet) return undefined
+            if (!value || typeof value !== 'object') return value
+            if (value instanceof Date) return new Date(value.getTime())
+            if (value instanceof DataView) return new DataView(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength))
+            if (ArrayBuffer.isView(value)) return /**@type {any}*/(value).slice()
+            if (copies.has(value)) return copies.get(value)
+
+            /** @type {any} */
+            let result
+            if (value instanceof Map) {
+                copies.set(value, result = new Map())
+                value.forEach((v, k) => result.set(copy(k, copies), copy(v, copies)))
+            } else if (value instanceof Set) {
+                copies.set(value, result = new Set())
+                value.forEach(v => result.add(copy(v, copies)))
+            } else if (Array.isArray(value)) {
+                copies.set(value, result = [])
+                value.forEach((v, i) => result[i] = copy(v, copies))
             } else {
-                el.value = value ?? ''
-            }
-
-            if (!registry(el).boundModel) {
-                registry(el).boundModel = true
-                el.addEventListener('input', e => {
-                    const t = /** @type {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} */ (e.target)
-                    const newScope = renderer.buildScope(el)
-                    if (t instanceof HTMLInputElement && t.type === 'checkbox') {
-                        const binding = js.get(expr, newScope, el)
-                        if (Array.isArray(binding)) {
-                            if (t.checked && !binding.includes(t.value))
-                                binding.push(t.value)
-                            else if (!t.checked && binding.includes(t.value))
-                                binding.splice(binding.indexOf(t.value), 1)
-                        } else
-                            js.set(expr, t.checked, newScope, el)
-                    } else if (t instanceof HTMLInputElement && t.type === 'radio') {
-                        if (t.checked) js.set(expr, t.value, newScope, el)
-                    }
-                    else if (t instanceof HTMLInputElement && (t.type === 'number' || t.type === 'range'))
-                        js.set(expr, (/**@type {HTMLInputElement}*/(t)).valueAsNumber, newScope, el)
-                    else
-                        js.set(expr, t.value, newScope, el)
-                }, { passive: true })
+                copies.set(value, result = {})
+                for (const key of Object.keys(value)) {
+                    const descriptor = Object.getOwnPropertyDescriptor(value, key)
+                    if ('value' in descriptor && typeof descriptor.value !== 'function') result[key] = copy(descriptor.value, copies)
+                }
             }
-        },
+            return result
+        }
 
         /**
-         * conditional class rendering: `<span phoebe-class:red="balance < 0">Balance</span>`
-         * @param {Element} el 
-         * @param {string} className 
-         * @param {string} expr 
-         * @param {object} scope 
+         * the part of a path, which can be a JSON Pointer: up to a Set, as its members have no keys, or a Map key, which is not a string
+         * @param {any[]} path 
+         * @returns {{path: any[], value: any}} the part of the path and the value there
          */
-        handleClass(el, className, expr, scope) {
-            el.classList.toggle(className, !!js.get(expr, scope, el))
-        },
+        function pointerPrefix(path) {
+            /** @type {any} */
+            let value = reactivity.toRaw(state)
+            for (let i = 0; i < path.length; i++) {
+                if (value instanceof Set || (value instanceof Map && typeof path[i] !== 'string')) return { path: path.slice(0, i), value }
+                value = reactivity.toRaw(value instanceof Map ? value.get(path[i]) : value?.[path[i]])
+            }
+            return { path, value }
+        }
 
-        // todo: remove binding if element goes out of scope (phoebe-for & phoebe-if)
         /**
-         * dom node to variable binding: `<dialog phoebe-ref="dialogElement"></dialog>`
-         * @param {Element} el 
-         * @param {string} expr 
-         * @param {object} scope
+         * @param {Mutation} mutation 
+         * @returns {Patch | null} null if the mutation is not synced
          */
-        handleReference(el, expr, scope) {
-            js.set(expr, el, scope, el)
-        },
+        function toPatch(mutation) {
+            const path = reactivity.pathOfMutation(mutation)
+            const { target, key } = mutation
+            if (!path || !utils.isWithin(path, paths) || target instanceof WeakMap || target instanceof WeakSet) return null
+            if (typeof mutation.value === 'function' || mutation.value instanceof Node) return null  // e.g. phoebe-ref
+            if (Array.isArray(target) && key === 'length') return null  // the items are added and removed by their own patches
+            // sets, typed arrays, clear() and maps with other keys than strings are sent as a whole
+            const whole = pointerPrefix(path)
+            if (key === deps.ITERATE_KEY || whole.path.length < path.length)
+                return { op: 'replace', path: toPointer(whole.path), value: copy(whole.value) }
+            if (!mutation.hasKey) return { op: 'remove', path: toPointer(path) }
+            return { op: mutation.hadKey ? 'replace' : 'add', path: toPointer(path), value: copy(mutation.value) }
+        }
 
         /**
-         * scope events to the phoebe context: `<button phoebe:onclick="phoebeVar++">`
-         * @param {Element} el 
-         * @param {string} eventName 
-         * @param {string} expr 
+         * @param {Mutation} mutation 
          */
-        handleEvent(el, eventName, expr) {
-            if (eventName.includes(':')) return  // filter out phoebe:onxxx:debounce
-            if (!registry(el).boundEvents) registry(el).boundEvents = new Set()
-            if (!registry(el).boundEvents.has(eventName)) {
-
-                const debounceDuration = utils.parseDuration(el.getAttribute('phoebe:on' + eventName + ':debounce'))
+        function onMutation(mutation) {
+            if (isApplying) return
+            const patch = toPatch(mutation)
+            if (!patch) return
+            if (!pending) {
+                pending = []
+                queueMicrotask(() => {
+                    const patches = pending
+                    pending = null
+                    subscribers.forEach(subscriber => subscriber(patches))
+                })
+            }
+            pending.push(patch)
+        }
 
-                const isPassive = eventName === 'touchstart' || eventName === 'touchmove' || eventName === 'wheel'
+        /** @type {(() => void) | null} stops listening to mutations, which are only recorded while subscribed */
+        let stopListening = null
 
-                /**@type {EventListener} */
-                const eventListener = event => {
-                    const newScope = renderer.buildScope(el)
-                    js.exec(expr, { ...newScope, event }, el)
+        /**
+         * @param {(patches: Patch[]) => void} subscriber called with the patches of each task, which changed the state
+         * @returns {() => void} unsubscribe
+         */
+        function subscribe(subscriber) {
+            subscribers.add(subscriber)
+            if (!stopListening) stopListening = reactivity.onMutation(onMutation)
+            return () => {
+                subscribers.delete(subscriber)
+                if (subscribers.size === 0 && stopListening) {
+                    stopListening()
+                    stopListening = null
                 }
-                el.addEventListener(
-                    eventName,
-                    debounceDuration ? utils.debounce(eventListener, debounceDuration) : eventListener,
-                    isPassive ? { passive: true } : false
-                )
-                registry(el).boundEvents.add(eventName)
             }
-        },
+        }
 
         /**
-         * update attribute values:
-         * - `<input type="range" phoebe:value="rangeVar" />`
-         * - `<input type="button" phoebe:disabled="inputText.length===0" />`
-         * - `<span class="item" phoebe:class="isGood ? 'green' : 'red'">...</span>`
-         * - `<span style="font-weight:bold" phoebe:style="isBad ? 'color:red' : ''">...</span>`
-         * @param {Element} el 
-         * @param {string} attrName
-         * @param {string} expr
-         * @param {object} scope 
+         * apply the patches of others, without sending them to the subscribers again
+         * @param {Patch[]} patches 
          */
-        handleAttribute(el, attrName, expr, scope) {
-            const value = js.get(expr, scope, el)
-            if (attrName === 'style') {
-                if (registry(el).originalStyle === undefined)
-                    registry(el).originalStyle = (el.getAttribute('style') ?? '').trim()
-                /** @type {string} */
-                let computedStyle = (value ?? '').toString().trim()
-
-                let originalStyle = /** @type {string} */ (registry(el).originalStyle)
-
-                if (computedStyle.length > 0 || originalStyle.length > 0) {
-                    let newStyle = originalStyle
-                    if (newStyle.length > 0 && computedStyle.length > 0 && !newStyle.endsWith(';'))
-                        newStyle += ';'
-                    newStyle += computedStyle
-                    el.setAttribute('style', newStyle)
-                } else el.removeAttribute('style')
-            } else if (attrName === 'class') {
-                if (registry(el).originalClass === undefined)
-                    registry(el).originalClass = (el.getAttribute('class') ?? '').trim()
-                el.setAttribute(attrName, (registry(el).originalClass + ' ' + (value ?? '').toString()).trim())
-            } else {
-                if (value === undefined || value === null || value === false) el.removeAttribute(attrName)
-                else if (value === true) el.setAttribute(attrName, attrName)  // e.g. required="required" or disabled="disabled"
-                else el.setAttribute(attrName, value)
+        function applyPatch(patches) {
+            isApplying = true
+            try {
+                deps.batch(() => {
+                    for (const { op, path, value } of patches) {
+                        const keys = fromPointer(path)
+                        const key = keys.pop()
+                        /** @type {any} */
+                        let parent = state
+                        for (const k of keys) parent = parent instanceof Map ? parent.get(k) : parent?.[k]
+                        if (key === undefined || !parent || typeof parent !== 'object') {
+                            console.warn('Phoebe.js: cannot apply patch, path not found:', path)
+                            continue
+                        }
+                        if (Array.isArray(parent) && op !== 'replace') {  // items are inserted and removed, `-` appends
+                            const index = key === '-' ? parent.length : Number(key)
+                            if (op === 'remove') parent.splice(index, 1)
+                            else if (index >= parent.length) parent[index] = value  // keeps the index of an assignment beyond the end
+                            else parent.splice(index, 0, value)
+                        } else if (op === 'remove') {
+                            if (parent instanceof Map) parent.delete(key)
+                            else delete parent[key]
+                        } else if (parent instanceof Map) parent.set(key, value)
+                        else parent[key] = value
+                    }
+                })
+            } finally {
+                isApplying = false
             }
         }
-    }
 
+        const transport = config.sync?.transport ?? (config.sync?.channel ? Phoebe.broadcastTransport(config.sync.channel) : undefined)
+        if (transport) {
+            subscribe(patches => {
+                try {
+                    transport.send(patches)
+                } catch (e) {
+                    console.warn('Phoebe.js: cannot send state changes:', e)
+                }
+            })
+            const disconnect = transport.connect(applyPatch)
+            if (disconnect) lifecycle.signal.addEventListener('abort', disconnect, { once: true })
+        }
 
-    /** coordinate dom manipulation */
-    const renderer = (() => {
-        /** @type {Set<Element>} */
-        let rerenderEls = new Set()
+        return { subscribe, applyPatch, isApplying: () => isApplying }
+    })()
+
+    /**
+     * undo and redo of state changes. the changes of one task, e.g. of an event handler, are one step.
+     * the steps store the changed values only, not copies of the state
+     */
+    const history = config.history ? (() => {
+        const options = config.history === true ? {} : config.history
+        const limit = options.limit ?? 100
+        const mergeWithin = utils.parseDuration(options.mergeWithin ?? null) ?? 0
+        const paths = options.paths?.map(path => path.split('.'))
+
+        /** @typedef {{mutations: Mutation[], time: number}} Step */
+
+        /** @type {Step[]} */
+        const undoStack = []
+        /** @type {Step[]} */
+        const redoStack = []
+
+        /** @type {Mutation[] | null} the changes of the current step */
+        let recording = null
+        let transactionDepth = 0
+        let isReplaying = false
 
         /**
-         * @param {Element} el
+         * @param {Mutation} mutation 
+         * @returns {boolean} whether the mutation changes the recorded part of the state
          */
-        function schedule(el) {
-            if (rerenderEls.size === 0) {
-                setTimeout(() => {
-                    rerenderEls.forEach(rerenderEl => {
-                        rerenderEls.delete(rerenderEl)
-                        renderTree(rerenderEl)
-                    })
-                }, 33)  // render at 30fps max
-                rerenderEls.add(el)
-            } else if (!rerenderEls.has(el)) {
-                let shouldAdd = true
-                for (const rerenderEl of rerenderEls)
-                    if (rerenderEl.contains(el)) {
-                        shouldAdd = false
-                        break
-                    }
-                if (shouldAdd) rerenderEls.add(el)
+        function isRecorded(mutation) {
+            const path = reactivity.pathOfMutation(mutation)
+            return !!path && utils.isWithin(path, paths)
+        }
+
+        reactivity.onMutation(mutation => {
+            if (isReplaying || sync.isApplying() || !isRecorded(mutation)) return  // changes of other tabs are not undone
+            if (!recording) {
+                recording = []
+                if (transactionDepth === 0) queueMicrotask(commit)
             }
+            recording.push(mutation)
+        })
+
+        /** finish the current step */
+        function commit() {
+            if (!recording || transactionDepth > 0) return
+            const now = Date.now()
+            const lastStep = undoStack[undoStack.length - 1]
+            if (lastStep && now - lastStep.time < mergeWithin) {
+                lastStep.mutations.push(...recording)
+                lastStep.time = now
+            } else undoStack.push({ mutations: recording, time: now })
+            if (undoStack.length > limit) undoStack.shift()
+            recording = null
+            redoStack.length = 0
+            update()
         }
 
-        /** 
-         * `<phoebe-for>` elements set a context via item and index variable. 
-         * the scope of an element is the combined context of all ancestor `<phoebe-for>` & `<phoebe-with>` elements
-         * @param {Element} el 
+        /**
+         * @param {() => void} fn writes to the state, which are not recorded
          */
-        function buildScope(el) {
-            /** @type {object} */
-            let scope = {}
-
-            if (registry(el).contextAncestors === undefined) {
-                /** @type {Element[]} */
-                let loopEls = []
+        function replaying(fn) {
+            isReplaying = true
+            try {
+                deps.batch(fn)
+            } finally {
+                isReplaying = false
+            }
+        }
 
-                /** @type {Element | null} */
-                let parent = el
+        function undo() {
+            commit()
+            const step = undoStack.pop()
+            if (!step) return
+            replaying(() => {
+                for (let i = step.mutations.length - 1; i >= 0; i--) reactivity.replay(step.mutations[i], true)
+            })
+            step.time = 0  // changes after an undo are a new step
+            redoStack.push(step)
+            update()
+        }
 
-                while (parent && parent !== rootNode) {
-                    if (registry(parent).loopContextValue || registry(parent).withContextValue) loopEls.push(parent)
-                    parent = parent.parentElement
-                }
+        function redo() {
+            commit()
+            const step = redoStack.pop()
+            if (!step) return
+            replaying(() => step.mutations.forEach(mutation => reactivity.replay(mutation, false)))
+            step.time = 0
+            undoStack.push(step)
+            update()
+        }
 
-                registry(el).contextAncestors = (loopEls.length > 0) ? loopEls : false
+        /**
+         * @template T
+         * @param {() => T} fn 
+         * @returns {T}
+         */
+        function transaction(fn) {
+            commit()  // the previous changes are a step of their own
+            transactionDepth++
+            const end = () => {
+                transactionDepth--
+                commit()
+            }
+            let result
+            try {
+                result = fn()
+            } catch (e) {
+                end()
+                throw e
             }
+            const promise = /**@type {PromiseLike<unknown> | null | undefined}*/(result)
+            if (typeof promise?.then === 'function') return /**@type {T}*/(/**@type {unknown}*/(promise.then(value => {
+                end()
+                return value
+            }, e => {
+                end()
+                throw e
+            })))
+            end()
+            return result
+        }
 
+        function clear() {
+            undoStack.length = 0
+            redoStack.length = 0
+            recording = null
+            update()
+        }
 
-            const ancestors = registry(el).contextAncestors
-            if (ancestors)
-                for (const anc of ancestors) {
-                    const reg = registry(anc)
-                    if (reg.loopContextValue) scope = { ...scope, ...reg.loopContextValue }
-                    if (reg.withContextValue) scope = { ...scope, ...reg.withContextValue }
-                }
+        /** @type {History} */
+        const current = reactivity.wrap({ canUndo: false, canRedo: false, undo, redo, transaction, clear })
 
-            return scope
+        function update() {
+            current.canUndo = undoStack.length > 0
+            current.canRedo = redoStack.length > 0
         }
 
+        return current
+    })() : undefined
 
-        /** 
-         * @param {Element} root
-         * @param {(el: Element) => void} callback
-         */
-        function traverseDom(root, callback) {
-            if (!root) return
+    /** client side routing: the current location for `<phoebe-route>`, set up by the first route or the first use of `$router` */
+    const router = utils.lazy(() => {
+        const mode = config.router?.mode ?? 'hash'
+        const base = (config.router?.base ?? '').replace(/\/$/, '')
 
-            const stack = [root]
-            while (stack.length > 0) {
-                const el = stack.pop()
-                if (!(el instanceof Element)) continue
+        /** @type {Set<NavigationGuard>} */
+        const guards = new Set()
 
-                callback(el)
+        let navigationId = 0
 
-                // Push children in reverse order so they are processed in DOM order
-                let child = el.lastElementChild
-                while (child instanceof Element) {
-                    stack.push(child)
-                    child = child.previousElementSibling
+        /**
+         * @param {string} url path with optional query, e.g. `/users?page=2`
+         */
+        function parse(url) {
+            const [path, search = ''] = url.split('?')
+            /** @type {Record<string, string>} */
+            const query = {}
+            new URLSearchParams(search).forEach((value, key) => query[key] = value)
+            return { path: '/' + path.replace(/^\/+/, ''), query }
+        }
+
+        /**
+         * the patterns of all routes, also of routes in hidden containers like a `<phoebe-if>`
+         * @param {Node} node 
+         * @param {string} parentPattern 
+         * @param {string[]} patterns 
+         */
+        function routePatterns(node = rootNode, parentPattern = '', patterns = []) {
+            for (const child of (node instanceof HTMLTemplateElement ? node.content : node).childNodes) {
+                if (!(child instanceof Element)) continue
+                let pattern = parentPattern
+                if (child.localName === 'phoebe-route') {
+                    pattern = utils.joinRoutePath(parentPattern, child.getAttribute('path') ?? '')
+                    if (!child.hasAttribute('fallback')) patterns.push(pattern)
                 }
+                routePatterns(child, pattern, patterns)
             }
+            return patterns
         }
 
-        /** 
-         * @param {Element} el 
+        function readLocation() {
+            if (mode === 'hash') return parse(window.location.hash.replace(/^#/, ''))
+            const path = window.location.pathname.startsWith(base) ? window.location.pathname.substring(base.length) : window.location.pathname
+            return parse(path + window.location.search)
+        }
+
+        /**
+         * @param {{path: string, query: Record<string, string>}} location 
+         * @param {boolean} replace 
          */
-        function processElement(el) {
-            /**@type {object} */
-            let scope = undefined
+        function writeLocation(location, replace) {
+            const search = new URLSearchParams(location.query).toString()
+            const url = location.path + (search ? '?' + search : '')
+            const fullUrl = mode === 'hash' ? '#' + url : base + url
+            if (replace) window.history.replaceState(null, '', fullUrl)
+            else window.history.pushState(null, '', fullUrl)
+        }
 
-            if (el instanceof PhoebeElement) {
-                scope = buildScope(el)
-                el.render(scope)
-            }
+        /**
+         * run the guards and update the location
+         * @param {string | {path: string, query: Record<string, string>}} to 
+         * @param {boolean} replace 
+         * @param {boolean} isBrowserNavigation the browser has already changed the url, e.g. back button
+         * @returns {Promise<boolean>} whether the navigation was successful
+         */
+        async function navigate(to, replace, isBrowserNavigation = false) {
+            const target = typeof to === 'string' ? parse(to) : to
+            const from = { path: current.path, query: { ...current.query } }
+            const id = ++navigationId
 
-            const phoebeAttrs = el.getAttributeNames().filter(attr => attr.startsWith("phoebe"))
-            if (phoebeAttrs.length > 0) {
-                if (!scope) scope = buildScope(el)
-                phoebeAttrs.sort((a, b) => +(a === "phoebe:class") - +(b === "phoebe:class"))  // execute phoebe:class="xxx yyy" before phoebe-class:zzz="expr"
-                phoebeAttrs.forEach(attrName => {
-                    if (attrName === 'phoebe-bind')
-                        directives.handleBinding(el, /**@type {string!}*/(el.getAttribute(attrName)), scope)
-                    else if (attrName === 'phoebe-ref')
-                        directives.handleReference(el, /**@type {string!}*/(el.getAttribute(attrName)), scope)
-                    else if (attrName.startsWith('phoebe-class:'))
-                        directives.handleClass(el, attrName.substring('phoebe-class:'.length), /**@type {string!}*/(el.getAttribute(attrName)), scope)
-                    else if (attrName.startsWith('phoebe:on') && attrName.length > 'phoebe:on'.length)
-                        directives.handleEvent(el, attrName.substring('phoebe:on'.length), /**@type {string!}*/(el.getAttribute(attrName)))
-                    else if (attrName.startsWith('phoebe:') && attrName.length > 'phoebe:'.length)
-                        directives.handleAttribute(el, attrName.substring('phoebe:'.length), /**@type {string!}*/(el.getAttribute(attrName)), scope)
-                    else
-                        console.warn('Phoebe.js: Unknown attribute', attrName, 'found at', el)
-                })
+            for (const guard of guards) {
+                let result
+                try {
+                    result = await guard(target, from)
+                } catch (e) {
+                    console.error('Phoebe.js: error', e, 'in navigation guard')
+                    result = false
+                }
+                if (id !== navigationId) return false  // superseded by a newer navigation
+                if (typeof result === 'string') return navigate(result, true)
+                if (result === false) {
+                    if (isBrowserNavigation) writeLocation(from, true)
+                    return false
+                }
             }
+
+            if (!isBrowserNavigation) writeLocation(target, replace)
+            current.path = target.path
+            current.query = target.query
+            return true
         }
 
-        /**
-         * @param {Element} el 
-         */
-        function renderTree(el) {
-            if (el.isConnected) // filter out elements in <template> as these don't need to be rendered
-                traverseDom(el, el => {
-                    processElement(el)
-                })
+        /** @type {Router} */
+        const current = reactivity.wrap({
+            ...readLocation(),
+            push: to => navigate(to, false),
+            replace: to => navigate(to, true),
+            back: () => window.history.back(),
+            beforeEach(guard) {
+                guards.add(guard)
+                return () => guards.delete(guard)
+            }
+        })
+
+        const onBrowserNavigation = () => {
+            const location = readLocation()
+            if (location.path !== current.path || !utils.shallowEqual(location.query, current.query))
+                navigate(location, true, true)
         }
+        window.addEventListener('popstate', onBrowserNavigation, { signal: lifecycle.signal })
+        if (mode === 'hash') window.addEventListener('hashchange', onBrowserNavigation, { signal: lifecycle.signal })
+        else rootNode.addEventListener('click', e => {  // follow links within the app without reloading the page
+            const link = e.target instanceof Element ? e.target.closest('a[href]') : null
+            if (!(e instanceof MouseEvent) || !(link instanceof HTMLAnchorElement) || e.defaultPrevented || e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return
+            if (link.target || link.hasAttribute('download') || link.origin !== window.location.origin) return
+            if (base ? link.pathname !== base && !link.pathname.startsWith(base + '/')
+                : !routePatterns().some(pattern => utils.matchPath(pattern, link.pathname))) return  // other pages of the site
+            e.preventDefault()
+            navigate(link.pathname.substring(base.length) + link.search, false)
+        }, { signal: lifecycle.signal })
+
+        return current
+    })
 
-        return { renderTree, schedule, buildScope }
-    })()
+    /**
+     * tear down the instance: remove its event listeners, stop its watchers, timers and rendering.
+     * the dom stays as it is and the state keeps working as a plain reactive object
+     */
+    function destroy() {
+        if (instances.get(rootNode) !== instance) return
+        instances.delete(rootNode)
+        lifecycle.abort()
+        renderer.stop()
+        watcher.stopAll()
+    }
+
+    // not enumerable to keep the state serializable, configurable to allow a new instance with the same values
+    Object.defineProperty(initialValues, '$watch', { value: watcher.watch, configurable: true })
+    Object.defineProperty(initialValues, '$destroy', { value: destroy, configurable: true })
+    Object.defineProperty(initialValues, '$router', { get: router, configurable: true })
+    Object.defineProperty(initialValues, '$format', { value: formatting.format, configurable: true })
+    if (history) Object.defineProperty(initialValues, '$history', { value: history, configurable: true })
+    Object.defineProperty(initialValues, '$subscribe', { value: sync.subscribe, configurable: true })
+    Object.defineProperty(initialValues, '$applyPatch', { value: sync.applyPatch, configurable: true })
+    if (i18n) {
+        Object.defineProperty(initialValues, '$i18n', { value: i18n, configurable: true })
+        if (Object.prototype.hasOwnProperty.call(initialValues, 't')) console.warn('Phoebe.js: the state has a key "t", use $i18n.t() for translations')
+        else Object.defineProperty(initialValues, 't', { value: i18n.t, configurable: true })
+    }
+    Object.defineProperty(initialValues, '$nextTick', { value: renderer.nextTick, configurable: true })
+    Object.defineProperty(initialValues, '$flush', {
+        value: () => {  // render the pending changes right now, e.g. before measuring the dom
+            renderer.flush()
+            return renderer.nextTick()
+        },
+        configurable: true
+    })
+
+    /** @type {PhoebeInstance} */
+    const instance = { rootNode, state, js, renderer, get router() { return router() }, reactive: reactivity.wrap, registry, signal: lifecycle.signal, isPrerendering: !!config.prerender }
+    instances.set(rootNode, instance)
+
+    const restoring = persistence?.restore()
+    if (restoring) restoring.then(() => {  // the state of asynchronous storages is rendered once loaded
+        if (instances.get(rootNode) === instance) renderer.renderTree(rootNode)
+    })
+    else renderer.renderTree(rootNode)
+    return state
+}
 
 
+/**
+ * define the structural elements once per custom element registry,
+ * each element renders with the instance of its closest root node
+ */
+function defineElements() {
+    if (definedElements.has(window.customElements)) return definedElements.get(window.customElements)
 
     /**
      * base class for all phoebe structural elements
@@ -493,9 +4238,16 @@ function Phoebe(initialValues, rootNode = undefined) {
      */
     class PhoebeElement extends HTMLElement {
 
-        constructor() {
-            super()
-            renderer.schedule(this)
+        /**
+         * the instance rendering this element, undefined outside of any root node
+         * @returns {PhoebeInstance | undefined}
+         */
+        get phoebe() {
+            return instanceOf(this)
+        }
+
+        connectedCallback() {
+            this.phoebe?.renderer.schedule(this)
         }
 
         /**
@@ -504,6 +4256,15 @@ function Phoebe(initialValues, rootNode = undefined) {
          * @param {object} scope 
          */
         render(scope) { }  // eslint-disable-line @typescript-eslint/no-unused-vars
+
+        /**
+         * render the child elements completely, e.g. after they were (re)inserted or their context changed
+         */
+        renderChildren() {
+            const { renderer } = this.phoebe
+            for (const child of this.children)
+                if (!(child instanceof HTMLTemplateElement)) renderer.schedule(child)
+        }
     }
 
 
@@ -514,7 +4275,17 @@ function Phoebe(initialValues, rootNode = undefined) {
         /**@type {number | null} */
         #cleanupTimeoutHandle = null
 
+        /** @type {WeakSet<Element>} removed items, which are still shown while transitioning out */
+        #leavingElements = new WeakSet()
+
+        /** items are only transitioned in after the first rendering */
+        #isRendered = false
+
+        /** @type {string[] | null} the loop metadata (`$first`, `$count`, ...) the template uses */
+        #metaNames = null
+
         connectedCallback() {
+            super.connectedCallback()
             if (this.#cleanupTimeoutHandle) {
                 clearTimeout(this.#cleanupTimeoutHandle)
                 this.#cleanupTimeoutHandle = null
@@ -528,24 +4299,141 @@ function Phoebe(initialValues, rootNode = undefined) {
                 if (!this.isConnected && this.isInitDone) {
                     this.replaceChildren(this.firstChild) // keep only the template
                     this.#keyElements = undefined
+                    this.#isRendered = false
                 }
             }, 0)
         }
 
-        get hasExactlyOneChild() {
-            let foundOne = false
-            for (const node of this.childNodes)
-                if (node.nodeType === Node.ELEMENT_NODE ||
-                    (node.nodeType === Node.TEXT_NODE && node.textContent && node.textContent.trim() !== "")) {
-                    if (foundOne) return false
-                    foundOne = true
-                }
-            return foundOne
+        get hasExactlyOneChild() {
+            let foundOne = false
+            for (const node of this.childNodes)
+                if (node.nodeType === Node.ELEMENT_NODE ||
+                    (node.nodeType === Node.TEXT_NODE && node.textContent && node.textContent.trim() !== "")) {
+                    if (foundOne) return false
+                    foundOne = true
+                }
+            return foundOne
+        }
+
+        get isInitDone() {
+            const template = /**@type {HTMLTemplateElement?} */ (this.firstChild)
+            return template?.dataset?.phoebeRole === 'for'
+        }
+
+        /**
+         * @param {Element} el 
+         * @returns {Element | null} the next item, skipping items transitioning out
+         */
+        #nextItem(el) {
+            let next = el.nextElementSibling
+            while (next && this.#leavingElements.has(next)) next = next.nextElementSibling
+            return next
+        }
+
+        /**
+         * @param {'in' | 'out' | 'move'} mode 
+         * @returns {string | null} name of the transition for items, e.g. `fade`
+         */
+        #transitionOf(mode) {
+            if (!this.#isRendered || this.phoebe.isPrerendering) return null
+            return mode === 'move' ? this.getAttribute('transition') : this.getAttribute('transition-' + mode) ?? this.getAttribute('transition')
+        }
+
+        /**
+         * run a css transition on an item, by the `phoebe-item-transition-*` classes or a style change
+         * @param {Element} el 
+         * @param {'in' | 'out' | 'move'} mode 
+         * @param {string[]} classes added while transitioning
+         * @param {() => void} change starts the transition
+         * @param {() => void} doneCb 
+         */
+        #transition(el, mode, classes, change, doneCb) {
+            if (!(el instanceof HTMLElement)) return doneCb()
+            const durationAttr = mode === 'move' ? null : this.getAttribute(`transition-${mode}:duration`)
+            const delayAttr = mode === 'move' ? null : this.getAttribute(`transition-${mode}:delay`)
+            el.style.setProperty('--phoebe-transition-duration', durationAttr ?? this.getAttribute('transition:duration'))
+            el.style.setProperty('--phoebe-transition-delay', delayAttr ?? this.getAttribute('transition:delay'))
+            el.classList.add('phoebe-item-transition', ...classes)
+            change()
+
+            const done = () => {
+                el.classList.remove('phoebe-item-transition', ...classes)
+                el.style.removeProperty('--phoebe-transition-duration')
+                el.style.removeProperty('--phoebe-transition-delay')
+                doneCb()
+            }
+            const style = window.getComputedStyle(el)
+            const hasTransition = (style.transitionDuration + ',' + style.transitionDelay).split(',').some(time => parseFloat(time) > 0)
+            if (!hasTransition) return done()
+
+            /**@type {(e: Event) => void} */
+            const onEnd = e => {
+                if (e.target !== el) return  // transitions of the children
+                el.removeEventListener('transitionend', onEnd)
+                el.removeEventListener('transitioncancel', onEnd)
+                done()
+            }
+            el.addEventListener('transitionend', onEnd)
+            el.addEventListener('transitioncancel', onEnd)
+        }
+
+        /**
+         * transition a new item in
+         * @param {Element} el 
+         */
+        #enter(el) {
+            const name = this.#transitionOf('in')
+            if (!name) return
+            el.classList.add(`phoebe-item-transition-${name}-out`)  // the initial state
+            requestAnimationFrame(() => requestAnimationFrame(() => {
+                if (!el.isConnected || this.#leavingElements.has(el)) return
+                this.#transition(el, 'in', [`phoebe-item-transition-${name}-in`], () => el.classList.remove(`phoebe-item-transition-${name}-out`), () => { })
+            }))
+        }
+
+        /**
+         * transition an item out and remove it afterwards
+         * @param {Element} el 
+         */
+        #leave(el) {
+            const name = this.#transitionOf('out')
+            if (!name) return el.remove()
+            this.#leavingElements.add(el)
+            el.classList.remove(`phoebe-item-transition-${name}-out`)  // if not transitioned in yet
+            this.#transition(el, 'out', [`phoebe-item-transition-${name}-out`], () => { }, () => el.remove())
         }
 
-        get isInitDone() {
-            const template = /**@type {HTMLTemplateElement?} */ (this.firstChild)
-            return template?.dataset?.phoebeRole === 'for'
+        /**
+         * animate the items from their previous to their current position (FLIP)
+         * @param {Map<Element, DOMRect>} prevRects 
+         */
+        #move(prevRects) {
+            for (const [el, prevRect] of prevRects) {
+                if (!(el instanceof HTMLElement) || !el.isConnected || this.#leavingElements.has(el)) continue
+                const rect = el.getBoundingClientRect()
+                const dx = prevRect.left - rect.left
+                const dy = prevRect.top - rect.top
+                if (dx === 0 && dy === 0) continue
+
+                const { transform, transition } = el.style
+                el.style.transition = 'none'
+                el.style.transform = `translate(${dx}px, ${dy}px)`  // back to the previous position
+                el.getBoundingClientRect()  // apply the style before transitioning
+                el.style.transition = transition
+                this.#transition(el, 'move', [], () => el.style.transform = transform, () => { })
+            }
+        }
+
+        /**
+         * set the loop variables of an item and rerender it, if they have changed
+         * @param {Element} itemEl 
+         * @param {object} ctx 
+         */
+        #updateContext(itemEl, ctx) {
+            const { registry, renderer } = this.phoebe
+            const oldCtx = registry(itemEl).loopContextValue
+            registry(itemEl).loopContextValue = ctx
+            if (!oldCtx || !utils.shallowEqual(oldCtx, ctx)) renderer.schedule(itemEl)
         }
 
         /**
@@ -569,17 +4457,36 @@ function Phoebe(initialValues, rootNode = undefined) {
             }
 
             const template = /**@type {HTMLTemplateElement} */ (this.firstChild)
+            const { js } = this.phoebe
 
-            const varName = this.getAttribute('var') // todo: variable expression ... varExpr: with ([a,b]=__phoebeLoopVariable) {console.log(b)}
+            const varExpr = this.getAttribute('var')?.trim()
+            const pattern = varExpr && !/^[A-Za-z_$][\w$]*$/.test(varExpr) ? parseLoopPattern(varExpr) : null  // destructuring
             const iterExpr = this.getAttribute('in')
             const indexName = this.getAttribute('index')
 
             const isKeyedLoop = this.hasAttribute('key')
 
-            let iterObj = js.get(iterExpr, scope, this)
+            if (!this.#metaNames) {
+                const templateHtml = template.innerHTML
+                this.#metaNames = ['$first', '$last', '$even', '$odd', '$count'].filter(name => templateHtml.includes(name))
+            }
+
+            const range = /^\s*([\w$.+\-*/%() ]*[\w$)])\s*\.\.\s*([\w$(+-][\w$.+\-*/%() ]*)$/.exec(iterExpr)  // from..to
+            let iterObj = range ? undefined : js.get(iterExpr, scope, this, 'in')
 
             // ensure iterObj is iterable
-            if (typeof iterObj === 'number') {
+            if (range) {
+                const from = js.get(range[1], scope, this, 'in')
+                const to = js.get(range[2], scope, this, 'in')
+                if (Number.isFinite(from) && Number.isFinite(to))
+                    iterObj = Array.from({ length: Math.floor(Math.abs(to - from)) + 1 }, (_, i) => from <= to ? from + i : from - i)
+                else {
+                    console.warn('Phoebe.js: <phoebe-for> range', iterExpr, 'expects numbers, not:', from, to)
+                    iterObj = []
+                }
+            } else if (utils.isPlainObject(iterObj)) {
+                iterObj = Object.keys(iterObj).map(key => [key, iterObj[key]])  // like maps: [key, value]
+            } else if (typeof iterObj === 'number') {
                 if (iterObj >= 0) iterObj = Array(iterObj).keys() // count N times
                 else {
                     console.warn('Phoebe.js: <phoebe-for> attribute "in" cannot be a negative number:', iterObj)
@@ -590,24 +4497,54 @@ function Phoebe(initialValues, rootNode = undefined) {
                 iterObj = []
             }
 
+            const items = Array.from(iterObj)
+
+            /**
+             * @param {any} item 
+             * @param {number} index 
+             * @returns {Record<string, any>} the loop variables of an item
+             */
+            const contextOf = (item, index) => {
+                /** @type {Record<string, any>} */
+                const ctx = {}
+                if (pattern) bindLoopPattern(pattern, item, ctx, expr => js.get(expr, { ...scope, ...ctx }, this, 'var'))
+                else if (varExpr) ctx[varExpr] = item
+                if (indexName) ctx[indexName] = index
+                // only the metadata used by the template, so the other items don't rerender when e.g. the count changes
+                for (const name of this.#metaNames) {
+                    if (name === '$first') ctx.$first = index === 0
+                    else if (name === '$last') ctx.$last = index === items.length - 1
+                    else if (name === '$even') ctx.$even = index % 2 === 0
+                    else if (name === '$odd') ctx.$odd = index % 2 === 1
+                    else ctx.$count = items.length
+                }
+                return ctx
+            }
+
             if (isKeyedLoop) { // loop with stable keys: insert missing items, move and update existing items if necessary, remove superfluous items
 
-                if (!this.#keyElements)
+                if (!this.#keyElements) {
                     this.#keyElements = new Map()
+                    for (const el of Array.from(this.children))  // adopt the items rendered on the server
+                        if (el.hasAttribute('data-phoebe-key')) this.#keyElements.set(JSON.parse(el.getAttribute('data-phoebe-key')), el)
+                }
 
                 const keyExpr = this.getAttribute('key')
                 const visitedKeys = new Set()
-                let currentEl = template.nextElementSibling
+                let currentEl = this.#nextItem(template)
+
+                /** @type {Map<Element, DOMRect> | null} positions before reordering */
+                const prevRects = this.#transitionOf('move')
+                    ? new Map(Array.from(this.#keyElements.values(), el => [el, el.getBoundingClientRect()]))
+                    : null
 
                 // render loop items
                 let index = 0
-                for (const item of iterObj) {// use for..of loop because not every iterable implements .forEach()
+                for (const item of items) {
 
-                    const ctx = {}
-                    if (varName) ctx[varName] = item
-                    if (indexName) ctx[indexName] = index
+                    const ctx = contextOf(item, index)
 
-                    const key = js.get(keyExpr, { ...scope, ...ctx }, this)
+                    const key = js.get(keyExpr, { ...scope, ...ctx }, this, 'key')
 
                     if (!(typeof key === 'string' || typeof key === 'number') || Number.isNaN(key)) {
                         console.warn('Phoebe.js: the key for a <phoebe-for> loop should be a unique string or number. Found', key, 'on', this)
@@ -622,16 +4559,18 @@ function Phoebe(initialValues, rootNode = undefined) {
                         if (!currentEl || keyEl !== currentEl) // move item
                             this.insertBefore(keyEl, currentEl ? currentEl.nextElementSibling : null)
 
-                        registry(keyEl).loopContextValue = ctx
-                        currentEl = keyEl.nextElementSibling
+                        this.#updateContext(keyEl, ctx)
+                        currentEl = this.#nextItem(keyEl)
                     } else { // create item
                         const clone = /** @type {DocumentFragment} */ (template.content.cloneNode(true))
                         const newEl = clone.firstElementChild  // cannot be null as init ensures at least a <div>
                         this.#keyElements.set(key, newEl)
+                        if (this.phoebe.isPrerendering) newEl.setAttribute('data-phoebe-key', JSON.stringify(key))
                         this.insertBefore(newEl, currentEl ? currentEl.nextElementSibling : null)
 
-                        registry(newEl).loopContextValue = ctx
-                        currentEl = newEl.nextElementSibling
+                        this.#updateContext(newEl, ctx)
+                        this.#enter(newEl)
+                        currentEl = this.#nextItem(newEl)
                     }
 
                     index++
@@ -640,21 +4579,21 @@ function Phoebe(initialValues, rootNode = undefined) {
                 // prune old items
                 for (const [key, el] of this.#keyElements)
                     if (!visitedKeys.has(key)) {
-                        el.remove()
+                        this.#leave(el)
                         this.#keyElements.delete(key)
                     }
 
+                if (prevRects) this.#move(prevRects)
+
             } else { // loop without stable keys: update each item, insert items if necessary, remove superfluous items
 
-                let currentEl = template.nextElementSibling
+                let currentEl = this.#nextItem(template)
 
                 // render loop items
                 let index = 0
-                for (const item of iterObj) {// use for..of loop because not every iterable implements .forEach()
+                for (const item of items) {
 
-                    const ctx = {}
-                    if (varName) ctx[varName] = item
-                    if (indexName) ctx[indexName] = index
+                    const ctx = contextOf(item, index)
 
                     const existingEl = currentEl
 
@@ -663,13 +4602,14 @@ function Phoebe(initialValues, rootNode = undefined) {
                         const newEl = clone.firstElementChild  // cannot be null as init ensures at least a <div>
                         this.insertBefore(newEl, null)
 
-                        registry(newEl).loopContextValue = ctx
+                        this.#updateContext(newEl, ctx)
+                        this.#enter(newEl)
 
                         // currentEl stays null
                     } else {
-                        registry(existingEl).loopContextValue = ctx
+                        this.#updateContext(existingEl, ctx)
 
-                        currentEl = currentEl.nextElementSibling
+                        currentEl = this.#nextItem(currentEl)
                     }
 
                     index++
@@ -677,11 +4617,13 @@ function Phoebe(initialValues, rootNode = undefined) {
 
                 // prune old items
                 while (currentEl) {
-                    const nextEl = currentEl.nextElementSibling
-                    currentEl.remove()
+                    const nextEl = this.#nextItem(currentEl)
+                    this.#leave(currentEl)
                     currentEl = nextEl
                 }
             }
+
+            this.#isRendered = true
         }
     }
     window.customElements.define('phoebe-for', PhoebeFor)
@@ -696,10 +4638,10 @@ function Phoebe(initialValues, rootNode = undefined) {
             super()
 
             const trueHandler = this.getAttribute('ontrue')
-            if (trueHandler) this.addEventListener('true', () => js.exec(trueHandler, renderer.buildScope(this), this))
+            if (trueHandler) this.addEventListener('true', () => this.phoebe?.js.exec(trueHandler, this.phoebe.renderer.buildScope(this), this, 'ontrue'))
 
             const falseHandler = this.getAttribute('onfalse')
-            if (falseHandler) this.addEventListener('false', () => js.exec(falseHandler, renderer.buildScope(this), this))
+            if (falseHandler) this.addEventListener('false', () => this.phoebe?.js.exec(falseHandler, this.phoebe.renderer.buildScope(this), this, 'onfalse'))
         }
 
         #init() {
@@ -717,6 +4659,7 @@ function Phoebe(initialValues, rootNode = undefined) {
         #show() {
             const template =/**@type {HTMLTemplateElement} */ (this.firstChild)
             this.replaceChildren(template, ...template.content.childNodes)
+            this.renderChildren()  // state might have changed while hidden
         }
 
         #hide() {
@@ -741,7 +4684,7 @@ function Phoebe(initialValues, rootNode = undefined) {
                 if (c.startsWith('phoebe-transition')) this.classList.remove(c)
 
             const transition = this.getAttribute('transition-' + mode) ?? this.getAttribute('transition')
-            if (transition) {
+            if (transition && !this.phoebe.isPrerendering) {
                 const classBefore = `phoebe-transition-${transition}-${mode === 'in' ? 'out' : 'in'}`
                 const classAfter = `phoebe-transition-${transition}-${mode}`
 
@@ -783,6 +4726,26 @@ function Phoebe(initialValues, rootNode = undefined) {
             } else if (doneCb) doneCb()
         }
 
+        /**
+         * whether the children should be shown, overwritten by <phoebe-route>
+         * @protected
+         * @param {object} scope 
+         * @returns {boolean}
+         */
+        condition(scope) {
+            return !!this.phoebe.js.get(this.getAttribute('if') ?? 'true', scope, this, 'if')
+        }
+
+        /**
+         * whether a previous branch of an else-if chain is shown, overwritten by <phoebe-else-if>
+         * @protected
+         * @param {object} scope 
+         * @returns {boolean}
+         */
+        isPreviousBranchShown(scope) {  // eslint-disable-line @typescript-eslint/no-unused-vars
+            return false
+        }
+
         /**
          * @param {object} scope 
          */
@@ -792,7 +4755,7 @@ function Phoebe(initialValues, rootNode = undefined) {
             const template =/**@type {HTMLTemplateElement} */ (this.firstChild)
             const elseElem = this.nextElementSibling instanceof PhoebeElse ? this.nextElementSibling : undefined
 
-            const shouldShow = !!js.get(this.getAttribute('if') ?? 'true', scope, this)
+            const shouldShow = this.condition(scope)
             const isShowing = template.content.childNodes.length === 0 && !this.#outTransAbortCtrl
 
             if (shouldShow && !isShowing) {
@@ -802,7 +4765,6 @@ function Phoebe(initialValues, rootNode = undefined) {
                 } else // elements are not shown yet
                     this.#show()
                 this.#transition('in')
-                if (elseElem) elseElem.hide()
                 if (!isInitRender) this.dispatchEvent(new CustomEvent('true'))
             } else if (!shouldShow && isShowing) {
                 this.#outTransAbortCtrl?.abort()
@@ -811,20 +4773,25 @@ function Phoebe(initialValues, rootNode = undefined) {
                     this.#hide()
                     this.#outTransAbortCtrl = null
                 }, this.#outTransAbortCtrl)
-                if (elseElem) elseElem.show()
                 if (!isInitRender) this.dispatchEvent(new CustomEvent('false'))
             }
+
+            if (elseElem) {  // the else of a chain is shown if none of its branches is
+                if (shouldShow || this.isPreviousBranchShown(scope)) elseElem.hide()
+                else elseElem.show()
+            }
         }
     }
     window.customElements.define('phoebe-if', PhoebeIf)
 
 
-    class PhoebeElse extends PhoebeElement {
+    /** content shown and hidden by another element: <phoebe-else> by the <phoebe-if> before it, <phoebe-then> & co. by <phoebe-await> */
+    class PhoebeBlock extends PhoebeElement {
 
         #init() {
-            if ((/**@type {HTMLElement?} */(this.firstChild))?.dataset?.phoebeRole !== 'else') {  // init
+            if ((/**@type {HTMLElement?} */(this.firstChild))?.dataset?.phoebeRole !== 'block') {  // init
                 const template = document.createElement('template')
-                template.dataset.phoebeRole = 'else'
+                template.dataset.phoebeRole = 'block'
                 template.content.replaceChildren(...this.childNodes)
                 this.appendChild(template)
                 this.style.display = "contents"
@@ -834,7 +4801,9 @@ function Phoebe(initialValues, rootNode = undefined) {
         show() {
             this.#init()
             const template =/**@type {HTMLTemplateElement} */ (this.firstChild)
+            if (!template.content.hasChildNodes()) return  // shown already
             this.replaceChildren(template, ...template.content.childNodes)
+            this.renderChildren()  // state might have changed while hidden
         }
 
         hide() {
@@ -844,9 +4813,158 @@ function Phoebe(initialValues, rootNode = undefined) {
                 template.content.appendChild(template.nextSibling)
         }
     }
+
+
+    class PhoebeElse extends PhoebeBlock { }
     window.customElements.define('phoebe-else', PhoebeElse)
 
 
+    /**
+     * a further branch after <phoebe-if> or another <phoebe-else-if>, shown if its condition is true and none of the previous branches is
+     */
+    class PhoebeElseIf extends PhoebeIf {
+
+        /**
+         * @protected
+         * @param {object} scope 
+         */
+        isPreviousBranchShown(scope) {
+            let el = this.previousElementSibling
+            while (el instanceof PhoebeElseIf || el?.localName === 'phoebe-if') {
+                if (this.phoebe.js.get(el.getAttribute('if') ?? 'true', scope, el, 'if')) return true
+                if (el.localName === 'phoebe-if') return false  // the start of the chain
+                el = el.previousElementSibling
+            }
+            console.warn('Phoebe.js: <phoebe-else-if> must follow a <phoebe-if> or <phoebe-else-if>:', this)
+            return false
+        }
+
+        /**
+         * @protected
+         * @param {object} scope 
+         */
+        condition(scope) {
+            return !this.isPreviousBranchShown(scope) && super.condition(scope)
+        }
+    }
+    window.customElements.define('phoebe-else-if', PhoebeElseIf)
+
+
+    /**
+     * shows the first <phoebe-case> child whose `is` value equals the `on` value, otherwise the <phoebe-case default>
+     */
+    class PhoebeSwitch extends PhoebeElement {
+
+        /**
+         * @param {object} scope 
+         * @returns {PhoebeCase | undefined} the case to show
+         */
+        activeCase(scope) {
+            const { js } = this.phoebe
+            const value = js.get(this.getAttribute('on'), scope, this, 'on')
+            const cases = Array.from(this.children).filter(el => el instanceof PhoebeCase)
+            return cases.find(el => {
+                if (el.hasAttribute('default')) return false
+                const caseValue = js.get(el.getAttribute('is'), scope, el, 'is')
+                return Array.isArray(caseValue) ? caseValue.includes(value) : Object.is(caseValue, value)  // is="['new', 'open']" for several values
+            }) ?? cases.find(el => el.hasAttribute('default'))
+        }
+
+        render() {
+            this.style.display = 'contents'
+        }
+    }
+    window.customElements.define('phoebe-switch', PhoebeSwitch)
+
+
+    class PhoebeCase extends PhoebeIf {
+
+        /**
+         * @protected
+         * @param {object} scope 
+         */
+        condition(scope) {
+            if (!(this.parentElement instanceof PhoebeSwitch)) {
+                console.warn('Phoebe.js: <phoebe-case> must be a child of <phoebe-switch>:', this)
+                return false
+            }
+            return this.parentElement.activeCase(scope) === this
+        }
+    }
+    window.customElements.define('phoebe-case', PhoebeCase)
+
+
+    /**
+     * shows its children like <phoebe-if>, if the current location matches the `path` attribute.
+     * the path params are available as variables to the children
+     */
+    class PhoebeRoute extends PhoebeIf {
+
+        /**
+         * the path pattern including the paths of the ancestor routes, e.g. `/users/:id/settings`
+         * @returns {string}
+         */
+        get fullPath() {
+            const parentRoute = this.parentElement?.closest('phoebe-route')
+            return utils.joinRoutePath(parentRoute instanceof PhoebeRoute ? parentRoute.fullPath : '', this.getAttribute('path') ?? '')
+        }
+
+        /**
+         * @param {string} path 
+         * @returns {Record<string, string> | null} the params, if the path matches
+         */
+        match(path) {
+            return this.hasAttribute('fallback') ? null : utils.matchPath(this.fullPath, path)
+        }
+
+        /**
+         * a fallback route (404 page) is shown if none of the other routes on the same nesting level matches
+         * @param {string} path 
+         */
+        #isFallbackActive(path) {
+            const parentRoute = this.parentElement?.closest('phoebe-route') ?? null
+            const parentPattern = parentRoute instanceof PhoebeRoute ? parentRoute.fullPath : ''
+
+            /**
+             * whether a route on this nesting level matches, also a route in a hidden container like a `<phoebe-if>`
+             * @param {Node} node 
+             * @returns {boolean}
+             */
+            const hasMatchingRoute = node => Array.from(node.childNodes).some(child => {
+                if (!(child instanceof Element) || child === this) return false
+                if (child.localName === 'phoebe-route')  // not descending, as its children are nested routes
+                    return !child.hasAttribute('fallback') && utils.matchPath(utils.joinRoutePath(parentPattern, child.getAttribute('path') ?? ''), path) !== null
+                return hasMatchingRoute(child instanceof HTMLTemplateElement ? child.content : child)
+            })
+            return !hasMatchingRoute(parentRoute ?? this.phoebe.rootNode)
+        }
+
+        /**
+         * @protected
+         * @param {object} scope 
+         */
+        condition(scope) {
+            const { js, router, registry } = this.phoebe
+            const path = router.path  // subscribe to location changes
+
+            let params = this.hasAttribute('fallback') ? (this.#isFallbackActive(path) ? {} : null) : this.match(path)
+
+            const guard = this.getAttribute('guard')  // e.g. guard="user.isAdmin || '/login'"
+            if (params && guard) {
+                const result = js.get(guard, { ...scope, ...params }, this, 'guard')
+                if (typeof result === 'string') router.replace(result)
+                if (result !== true) params = null
+            }
+
+            const oldCtx = registry(this).withContextValue
+            registry(this).withContextValue = params ?? oldCtx ?? {}  // keep the params while transitioning out
+            if (params && oldCtx && !utils.shallowEqual(oldCtx, params)) this.renderChildren()
+            return params !== null
+        }
+    }
+    window.customElements.define('phoebe-route', PhoebeRoute)
+
+
     class PhoebeText extends PhoebeElement {
         /**
          * @param {object} scope 
@@ -866,41 +4984,136 @@ function Phoebe(initialValues, rootNode = undefined) {
                 this.textContent = ''
                 this.style.display = 'inline'
             }
-            this.textContent = js.get(this.dataset.textTemplate, scope, this)
+            this.textContent = this.phoebe.js.get(this.dataset.textTemplate, scope, this, 'text')
         }
     }
     window.customElements.define('phoebe-text', PhoebeText)
 
 
-    // todo: attribute "instant" to support exec on mount
-    // todo: attribute "after" to support setTimeout instead of setInterval
+    /**
+     * runs the `do` expression repeatedly (`every`), once (`after`) or on every animation frame (`every="animation-frame"`, with the milliseconds since the previous frame as `delta`).
+     * the timer pauses while the `paused` expression is true and while the page is hidden
+     */
     class PhoebeTimer extends PhoebeElement {
-        #handle = undefined
-        #shouldRun = false
+        static get observedAttributes() {
+            return ['every', 'after']
+        }
+
+        /** @type {(() => void) | null} stops the running timer */
+        #cancel = null
+
+        /** when the next run is due */
+        #dueAt = 0
+
+        /** @type {number | null} the time left until the next run while stopped, null to start from the beginning */
+        #remaining = null
+
         #scope = {}
-        #expr = ''
-        #interval = 0
+        #isPaused = false
 
-        connectedCallback() {
-            const expr = this.getAttribute('do')
-            const interval = utils.parseDuration(this.getAttribute('every'))
-
-            if (expr && interval) {
-                this.#expr = expr
-                this.#interval = interval
-                this.#shouldRun = true
-                renderer.schedule(this)  // setInterval() is started in this.render(), so trigger a rendering
-            } else {
-                console.warn('Phoebe.js: <phoebe-timer> attributes "do" and "every" are required and "every" must be a number in seconds (s) or milliseconds (ms):', this)
-                // this.#shouldRun stays false
+        /** one-shot timers run only once per mount */
+        #isDone = false
+
+        /** `instant` timers run right on mount */
+        #hasStarted = false
+
+        /** @type {AbortController | null} the listeners while mounted */
+        #mountCtrl = null
+
+        disconnectedCallback() {
+            this.#mountCtrl?.abort()
+            this.#mountCtrl = null
+            this.#stop()
+            this.#remaining = null
+            this.#isDone = false
+            this.#hasStarted = false
+        }
+
+        /**
+         * start again with the new duration
+         * @param {string} name 
+         * @param {string | null} oldValue 
+         * @param {string | null} newValue 
+         */
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (oldValue === newValue) return
+            this.#stop()
+            this.#remaining = null
+            this.#isDone = false
+            this.#update()
+        }
+
+        /**
+         * @param {object} extraScope e.g. the `delta` of animation frames
+         */
+        #run(extraScope = {}) {
+            this.phoebe?.js.exec(/**@type {string!}*/(this.getAttribute('do')), { ...this.#scope, ...extraScope }, this, 'do')
+        }
+
+        /**
+         * start or stop the timer, according to the `paused` expression and the page visibility
+         */
+        #update() {
+            const shouldRun = this.#mountCtrl !== null && !this.#isPaused && !document.hidden && !this.#isDone
+            if (shouldRun && this.#cancel === null) this.#start()
+            else if (!shouldRun) this.#stop()
+        }
+
+        #start() {
+            const every = this.getAttribute('every')
+            const interval = utils.parseDuration(every)
+            const delay = utils.parseDuration(this.getAttribute('after'))
+            const isAnimationFrame = every === 'animation-frame'
+            if (!this.getAttribute('do') || !(isAnimationFrame || interval || delay !== undefined)) {
+                this.#isDone = true
+                if (this.hasAttribute('phoebe:every') || this.hasAttribute('phoebe:after')) return  // set later
+                return console.warn('Phoebe.js: <phoebe-timer> requires the attribute "do" and "every" or "after" as number in seconds (s) or milliseconds (ms):', this)
+            }
+
+            if (!this.#hasStarted) {
+                this.#hasStarted = true
+                if (this.hasAttribute('instant')) this.#run()
             }
 
+            if (isAnimationFrame) {
+                /** @type {number | null} */
+                let prevTime = null
+                /** @param {number} time */
+                const onFrame = time => {
+                    handle = requestAnimationFrame(onFrame)
+                    this.#run({ delta: prevTime === null ? 0 : time - prevTime })
+                    prevTime = time
+                }
+                let handle = requestAnimationFrame(onFrame)
+                this.#cancel = () => cancelAnimationFrame(handle)
+            } else this.#schedule(this.#remaining ?? delay ?? interval, interval)
         }
 
-        disconnectedCallback() {
-            this.#shouldRun = false
-            window.clearInterval(this.#handle)
-            this.#handle = undefined
+        /**
+         * @param {number} delay until the next run
+         * @param {number | undefined} interval for repeated runs
+         */
+        #schedule(delay, interval) {
+            this.#dueAt = Date.now() + delay
+            const handle = window.setTimeout(() => {
+                if (interval) {
+                    const next = this.#dueAt + interval - Date.now()  // keep the rhythm, despite delayed timeouts
+                    this.#schedule(next < 0 ? interval : next, interval)
+                } else {
+                    this.#cancel = null
+                    this.#isDone = true
+                }
+                this.#run()
+            }, delay)
+            this.#cancel = () => {
+                window.clearTimeout(handle)
+                this.#remaining = Math.max(0, this.#dueAt - Date.now())
+            }
+        }
+
+        #stop() {
+            this.#cancel?.()
+            this.#cancel = null
         }
 
         /**
@@ -908,11 +5121,17 @@ function Phoebe(initialValues, rootNode = undefined) {
          */
         render(scope) {
             this.#scope = scope  // scope might change on every render, so store it 
+            const { js, signal, isPrerendering } = this.phoebe
+            if (isPrerendering) return
+
+            this.#isPaused = !!js.get(this.getAttribute('paused') ?? 'false', scope, this, 'paused')
 
-            if (this.#shouldRun && this.#handle === undefined) {
-                this.#shouldRun = false
-                this.#handle = window.setInterval(() => js.exec(this.#expr, this.#scope, this), this.#interval)
+            if (!this.#mountCtrl) {
+                this.#mountCtrl = new AbortController()
+                document.addEventListener('visibilitychange', () => this.#update(), { passive: true, signal: this.#mountCtrl.signal })
+                signal.addEventListener('abort', () => this.disconnectedCallback(), { once: true, passive: true, signal: this.#mountCtrl.signal })
             }
+            this.#update()
         }
     }
     window.customElements.define('phoebe-timer', PhoebeTimer)
@@ -925,25 +5144,169 @@ function Phoebe(initialValues, rootNode = undefined) {
         render(scope) {
             const varName = this.getAttribute('var')
             const expr = this.getAttribute('is')
-            if (varName && expr)
-                registry(this).withContextValue = { [varName]: js.get(expr, scope, this) }
-            else console.warn('Phoebe.js: <phoebe-with> attributes "var" and "is" are required:', this)
+            if (varName && expr) {
+                const { js, registry } = this.phoebe
+                const oldCtx = registry(this).withContextValue
+                registry(this).withContextValue = { [varName]: js.get(expr, scope, this, 'is') }
+                if (oldCtx && !utils.shallowEqual(oldCtx, registry(this).withContextValue)) this.renderChildren()
+            } else console.warn('Phoebe.js: <phoebe-with> attributes "var" and "is" are required:', this)
         }
     }
     window.customElements.define('phoebe-with', PhoebeWith)
 
 
+    /**
+     * shows one of its child blocks <phoebe-pending>, <phoebe-then> and <phoebe-catch> depending on the state of a promise.
+     * the result is available to the children as `var`, the rejection reason as `error`
+     */
+    class PhoebeAwait extends PhoebeElement {
+        /** @type {AbortController | null} cancels the running promise */
+        #abortCtrl = null
+
+        /** @type {'pending' | 'then' | 'catch' | null} the shown block */
+        #state = null
+
+        disconnectedCallback() {
+            this.#abortCtrl?.abort()
+            this.#abortCtrl = null
+            this.#state = null
+        }
+
+        /**
+         * switch to the block of a state
+         * @param {'pending' | 'then' | 'catch'} state 
+         * @param {object | null} context variables for the children, null to keep the previous ones
+         */
+        #settle(state, context) {
+            const { registry } = this.phoebe
+            const oldCtx = registry(this).withContextValue
+            if (context) registry(this).withContextValue = context
+            const blocks = Array.from(this.children).filter(child => child instanceof PhoebeBlock && ['phoebe-pending', 'phoebe-then', 'phoebe-catch'].includes(child.localName))
+            for (const block of /**@type {PhoebeBlock[]} */ (blocks)) {
+                if (block.localName !== 'phoebe-' + state) block.hide()
+                else if (this.#state !== state) block.show()
+                else if (context && !utils.shallowEqual(oldCtx, context)) block.renderChildren()
+            }
+            this.#state = state
+        }
+
+        /**
+         * @param {object} scope 
+         */
+        render(scope) {
+            const expr = this.getAttribute('promise')
+            if (!expr) return console.warn('Phoebe.js: <phoebe-await> attribute "promise" is required:', this)
+
+            const { js, signal } = this.phoebe
+            this.#abortCtrl?.abort()  // the expression has changed, cancel the previous promise
+            const abortCtrl = this.#abortCtrl = new AbortController()
+            signal.addEventListener('abort', () => abortCtrl.abort(), { once: true, passive: true, signal: abortCtrl.signal })
+
+            const varName = this.getAttribute('var')
+            const errorName = this.getAttribute('error') ?? 'error'
+
+            let value
+            try {
+                value = js.get(expr, { ...scope, signal: abortCtrl.signal }, this, 'promise')  // the promise can be cancelled with `signal`, e.g. fetch(url, { signal })
+            } catch (e) {
+                value = Promise.reject(e)
+            }
+
+            if (typeof value?.then !== 'function') return this.#settle('then', varName ? { [varName]: value } : {})
+
+            this.#settle('pending', null)
+            Promise.resolve(value).then(result => {
+                if (!abortCtrl.signal.aborted) this.#settle('then', varName ? { [varName]: result } : {})  // ignore stale results
+            }, e => {
+                if (abortCtrl.signal.aborted) return
+                if (!this.querySelector(':scope > phoebe-catch')) console.error('Phoebe.js: unhandled rejection', e, 'of', expr, 'in', this)
+                this.#settle('catch', { [errorName]: e })
+            })
+        }
+    }
+    window.customElements.define('phoebe-await', PhoebeAwait)
+    for (const name of ['phoebe-pending', 'phoebe-then', 'phoebe-catch'])
+        window.customElements.define(name, class extends PhoebeBlock { })
+
+
     class PhoebeComponent extends PhoebeElement {
-        connectedCallback() {
-            const url = this.getAttribute('src')
-            const templateId = this.getAttribute('template-id')
-            if (url && templateId) {
+        /** @type {ComponentDefinition | undefined} set for components registered by `Phoebe.component()` */
+        static definition = undefined
+
+        #isLoaded = false
+
+        #isFilled = false
+
+        /** @type {string | null} expression for the initial local state */
+        #stateExpr = null
+
+        /** local state of this component instance */
+        #local = undefined
+
+        /** @type {object | undefined} props and local state */
+        #context = undefined
+
+        /** @type {ComponentSelf | undefined} */
+        #self = undefined
+
+        /** @type {Record<string, Function>} methods of the definition bound to this component */
+        #methods = {}
+
+        #isMounted = false
+
+        get #definition() {
+            return /**@type {typeof PhoebeComponent}*/ (this.constructor).definition
+        }
+
+        disconnectedCallback() {
+            // setTimeout is necessary because the element also gets disconnected when moved into a template, e.g. by an ancestor <phoebe-if>
+            if (this.#isMounted) setTimeout(() => {
+                if (!this.isConnected && this.#isMounted) {
+                    this.#isMounted = false
+                    this.#callHook('unmounted')
+                }
+            }, 0)
+        }
+
+        /**
+         * @param {'mounted' | 'unmounted'} hook 
+         */
+        #callHook(hook) {
+            try {
+                this.#definition?.[hook]?.call(this.#self)
+            } catch (e) {
+                console.error('Phoebe.js: error', e, 'in', hook, 'hook of', this)
+            }
+        }
+
+        /**
+         * load the content once on the first rendering, i.e. not while being a template of an ancestor <phoebe-for>
+         */
+        #load() {
+            const definition = this.#definition
+            const url = definition ? null : this.getAttribute('src')
+            const templateId = definition ? definition.templateId : this.getAttribute('template-id')
+            if (this.hasAttribute('data-phoebe-filled')) {  // rendered on the server, adopt the content
+                this.#isLoaded = this.#isFilled = true
+                this.#stateExpr = this.getAttribute('state') ?? (templateId ? document.getElementById(templateId)?.getAttribute('state') : null) ?? null
+                for (const slot of this.querySelectorAll('slot[data-phoebe-filled]'))
+                    if (slot.parentElement?.closest('[data-phoebe-filled]:not(slot)') === this) slotOwners.set(slot, this)
+            } else if (definition?.template !== undefined && !templateId) {
+                const template = document.createElement('template')
+                template.innerHTML = definition.template
+                this.#isLoaded = true
+                this.#fill(template.content)
+            } else if (url && templateId) {
                 console.warn('Phoebe.js: <phoebe-component> can either have "src" or "template-id". not both:', this)
             } else if (url) {
+                this.#isLoaded = true
+                this.#stateExpr = this.getAttribute('state')
                 fetch(url).then(async res => {
                     if (res.ok) {
-                        this.innerHTML = await res.text()
-                        renderer.schedule(this)
+                        const template = document.createElement('template')
+                        template.innerHTML = await res.text()
+                        this.#fill(template.content)
+                        this.phoebe?.renderer.schedule(this)
                         this.dispatchEvent(new CustomEvent('load'))
                     }
                     else throw new Error(await res.text())
@@ -956,18 +5319,161 @@ function Phoebe(initialValues, rootNode = undefined) {
                     return this.dispatchEvent(new CustomEvent('error', { detail: 'Unknown template id' }))
                 if (!(template instanceof HTMLTemplateElement))
                     return this.dispatchEvent(new CustomEvent('error', { detail: 'Template must be a <template> element' }))
-                const clone = template.content.cloneNode(true)
-                this.replaceChildren(...clone.childNodes)
-                renderer.schedule(this)
+                this.#isLoaded = true
+                this.#stateExpr = this.getAttribute('state') ?? template.getAttribute('state')
+                this.#fill(/**@type {DocumentFragment} */(template.content.cloneNode(true)))
+            }
+        }
+
+        /**
+         * move the light dom children into the matching `<slot>` elements of the content and show the content.
+         * children with a `slot="name"` attribute go into `<slot name="name">`, all others into the unnamed `<slot>`.
+         * slots without matching children show their fallback content
+         * @param {DocumentFragment} content 
+         */
+        #fill(content) {
+            const lightDom = Array.from(this.childNodes)  // shown while loading
+            for (const slot of content.querySelectorAll('slot')) {
+                const name = slot.getAttribute('name')
+                const nodes = lightDom.filter(node =>
+                    node instanceof Element && node.hasAttribute('slot') ? node.getAttribute('slot') === name : !name)
+                if (nodes.some(node => node instanceof Element || node.textContent.trim() !== '')) {
+                    slot.replaceChildren(...nodes)
+                    slot.setAttribute('data-phoebe-filled', '')
+                    slotOwners.set(slot, this)
+                }
+            }
+            this.replaceChildren(...content.childNodes)
+            this.setAttribute('data-phoebe-filled', '')  // marks the content for the hydration of pages rendered on the server
+            this.#isFilled = true
+        }
+
+        /**
+         * evaluate the props `phoebe:prop-xxx="expr"` and provide them together with the local state to the content
+         * @param {object} scope 
+         */
+        render(scope) {
+            const { js, reactive, registry } = this.phoebe
+
+            if (!this.#isLoaded) this.#load()  // the content gets rendered right after this element
+
+            /** @type {Record<string, any>} */
+            const props = {}
+            for (const attrName of this.getAttributeNames())
+                if (attrName.startsWith('phoebe:prop-') && attrName.length > 'phoebe:prop-'.length) {
+                    const propName = attrName.substring('phoebe:prop-'.length).replace(/-([a-z])/g, (_, c) => c.toUpperCase())  // user-name -> userName
+                    props[propName] = js.get(/**@type {string!}*/(this.getAttribute(attrName)), scope, this, attrName)
+                }
+
+            const definition = this.#definition
+            if (this.#self) this.#self.props = props
+
+            if (this.#local === undefined && this.#isLoaded) {
+                this.#self = { el: this, props, local: undefined }
+                if (definition?.state)
+                    this.#local = reactive(definition.state.call(this.#self, props) ?? {})
+                else
+                    this.#local = reactive((this.#stateExpr ? js.get(this.#stateExpr, { ...scope, ...props }, this) : null) ?? {})
+                this.#self.local = this.#local
+                for (const name in definition?.methods ?? {}) this.#methods[name] = definition.methods[name].bind(this.#self)
+            }
+
+            const oldCtx = this.#context
+            this.#context = { ...props, ...this.#methods, local: this.#local }
+            if (this.#isFilled)  // the content elements, not this element itself as its props are evaluated in the outer scope
+                for (const child of this.children) registry(child).componentContextValue = this.#context
+            if (oldCtx && !utils.shallowEqual(oldCtx, this.#context)) this.renderChildren()
+
+            if (this.#isFilled && !this.#isMounted) {
+                this.#isMounted = true
+                queueMicrotask(() => this.#callHook('mounted'))  // after the content has been rendered
             }
         }
     }
     window.customElements.define('phoebe-component', PhoebeComponent)
 
+    const elements = { PhoebeElement, PhoebeComponent }
+    definedElements.set(window.customElements, elements)
+    for (const [name, definition] of components) defineComponent(name, definition)  // e.g. in a new window for prerendering
+    return elements
+}
+
+/**
+ * define a registered component as custom element in the current window
+ * @param {string} name 
+ * @param {ComponentDefinition} definition 
+ */
+function defineComponent(name, definition) {
+    const { PhoebeComponent } = defineElements()  // defines the registered components in a new registry
+    if (window.customElements.get(name)) return
+    const Component = class extends PhoebeComponent { }
+    Component.definition = definition
+    window.customElements.define(name, Component)
+}
 
+/**
+ * register a component as custom element, e.g. `<user-card>`, which works like a `<phoebe-component>` with a fixed content
+ * @param {string} name tag name, must contain a hyphen
+ * @param {ComponentDefinition} definition 
+ */
+Phoebe.component = function (name, definition) {
+    if (!definition || (typeof definition.template !== 'string' && typeof definition.templateId !== 'string'))
+        throw new Error(`Phoebe.js: component <${name}> requires a "template" or "templateId"`)
+    if (components.has(name))
+        throw new Error(`Phoebe.js: component <${name}> is already registered`)
+    components.set(name, definition)
+    if (typeof window !== 'undefined') defineComponent(name, definition)  // otherwise defined with the window for prerendering
+}
 
-    renderer.renderTree(rootNode)
-    return state
+/**
+ * a transport for the `sync` option, which syncs the state between the tabs of a browser
+ * @param {string} name of the BroadcastChannel
+ * @returns {SyncTransport}
+ */
+Phoebe.broadcastTransport = function (name) {
+    const channel = new BroadcastChannel(name)
+    return {
+        send: patches => channel.postMessage(patches),
+        connect(receive) {
+            channel.addEventListener('message', e => receive(e.data))
+            return () => channel.close()
+        }
+    }
+}
+
+/** the default tags and attributes of `phoebe-html`, to extend them with the `html` option */
+Phoebe.htmlAllowlist = htmlAllowlist
+
+/**
+ * add a formatter for pipes like `${value | name:arg}` to all instances
+ * @param {string} name 
+ * @param {(this: {locale: string | undefined}, value: any, ...args: any[]) => string} formatter called with the value and the arguments
+ */
+Phoebe.formatter = function (name, formatter) {
+    formatters[name] = formatter
+}
+
+/**
+ * render the page once and return its html, e.g. at build time or on the server side with phoebe-ssr.js.
+ * the content is visible without javascript, `Phoebe()` with the same state adopts the rendered nodes on the client
+ * @param {Record<string, any>} initialValues 
+ * @param {PhoebeOptions & {maxRounds?: number}} options `maxRounds`: how often to wait for further renderings, e.g. of resolved promises (default 10)
+ * @returns {Promise<string>} html of the document
+ */
+Phoebe.renderToString = async function (initialValues, options = {}) {
+    const { maxRounds = 10, ...config } = options
+    const state = Phoebe(initialValues, { ...config, prerender: true })
+    const { renderer } = instances.get(config.root ?? document.body)
+
+    for (let round = 0; round < maxRounds; round++) {
+        await new Promise(resolve => setTimeout(resolve, 0))  // let promises settle, e.g. of <phoebe-await>
+        if (renderer.isIdle()) break
+        renderer.flush()
+    }
+    state.$destroy()
+
+    const doctype = document.doctype ? `<!DOCTYPE ${document.doctype.name}>\n` : ''
+    return doctype + document.documentElement.outerHTML
 }
 
 export default Phoebe
\ No newline at end of file
@@ -0,0 +1,34 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createWindow } from './helpers.js'
+
+test('phoebe-bind passes values of custom elements as they are', () => {
+    const window = createWindow('<star-rating phoebe-bind="rating"></star-rating><color-picker phoebe-bind="color"></color-picker>')
+    window.customElements.define('star-rating', class extends window.HTMLElement { value = 0 })
+    window.customElements.define('color-picker', class extends window.HTMLElement { value = null })
+    const state = window.Phoebe({ rating: 3, color: { r: 255, g: 0, b: 0 } }, { scheduler: 'sync' })
+
+    const rating = window.document.querySelector('star-rating')
+    assert.equal(rating.value, 3)
+    rating.value = 4
+    rating.dispatchEvent(new window.Event('input'))
+    assert.equal(state.rating, 4)
+
+    const picker = window.document.querySelector('color-picker')
+    assert.deepEqual(picker.value, { r: 255, g: 0, b: 0 })
+    picker.value = { r: 0, g: 0, b: 255 }
+    picker.dispatchEvent(new window.Event('change'))
+    assert.deepEqual({ ...state.color }, { r: 0, g: 0, b: 255 })
+    window.close()
+})
+
+test('phoebe-bind sets the text of contenteditable elements', () => {
+    const window = createWindow('<div contenteditable phoebe-bind="note"></div>')
+    const state = window.Phoebe({ note: 'hello' }, { scheduler: 'sync' })
+    const editor = window.document.querySelector('div')
+    assert.equal(editor.textContent, 'hello')
+    editor.textContent = 'bye'
+    editor.dispatchEvent(new window.Event('input'))
+    assert.equal(state.note, 'bye')
+    window.close()
+})
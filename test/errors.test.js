@@ -0,0 +1,33 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createWindow } from './helpers.js'
+
+/**
+ * render the html and collect the errors passed to the `onError` hook
+ * @param {string} html 
+ * @param {object} state 
+ */
+function renderErrors(html, state = {}) {
+    const window = createWindow(html)
+    const infos = []
+    window.console.error = () => { }
+    window.Phoebe(state, { scheduler: 'sync', continueOnError: true, onError: info => infos.push(info) })
+    window.close()
+    return infos
+}
+
+test('errors name the attribute containing the phoebe string', () => {
+    const infos = renderErrors('<div phoebe:title="missing.a" phoebe:lang="missing.a"></div>')
+    assert.deepEqual(infos.map(info => info.attrName), ['phoebe:title', 'phoebe:lang'])
+})
+
+test('errors of pipes name their attribute', () => {
+    const infos = renderErrors('<span phoebe:title="price | currency:missing.a"></span>', { price: 1 })
+    assert.equal(infos[0].attrName, 'phoebe:title')
+})
+
+test('errors of <phoebe-text> are named text', () => {
+    const infos = renderErrors('<phoebe-text>${missing.a}</phoebe-text>')
+    assert.equal(infos[0].attrName, 'text')
+    assert.equal(infos[0].expr, '`${missing.a}`')
+})
@@ -0,0 +1,45 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createWindow } from './helpers.js'
+
+/**
+ * @param {string} template the content of a <phoebe-text>
+ * @param {object} state 
+ * @returns {string} the rendered text
+ */
+function render(template, state = {}) {
+    const window = createWindow(`<phoebe-text>${template}</phoebe-text>`)
+    window.Phoebe(state, { scheduler: 'sync', locale: 'en-US' })
+    const text = window.document.querySelector('phoebe-text').textContent
+    window.close()
+    return text
+}
+
+test('pipes format values with arguments', () => {
+    assert.equal(render('${price | currency:\'USD\'}', { price: 1234.5 }), '$1,234.50')
+    assert.equal(render('${name | uppercase | lowercase}', { name: 'Ann' }), 'ann')
+})
+
+test('a single | is a pipe, also if a state key has the name of a formatter', () => {
+    assert.equal(render('${items | list}', { items: ['a', 'b'], list: 1 }), 'a and b')
+})
+
+test('the bitwise or works in brackets', () => {
+    assert.equal(render('${(a | b)}', { a: 1, b: 2 }), '3')
+    assert.equal(render('${a || b}', { a: 0, b: 2 }), '2')
+})
+
+test('| followed by a number is the bitwise or', () => {
+    assert.equal(render('${n / 2 | 0}', { n: 5 }), '2')
+})
+
+test('arguments of pipes can be ternaries', () => {
+    assert.equal(render('${price | currency:eur ? \'EUR\' : \'USD\' | lowercase}', { price: 1, eur: false }), '$1.00')
+    assert.equal(render('${price | number:user?.digits ?? 1}', { price: 1.25, user: null }), '1.3')
+})
+
+test('| in regex literals and strings is not a pipe', () => {
+    assert.equal(render('${/date|time/.test(kind)}', { kind: 'time' }), 'true')
+    assert.equal(render('${kind.split(/[|]/).length}', { kind: 'a|b' }), '2')
+    assert.equal(render('${\'a|b\' + (n / 2 | 0)}', { n: 5 }), 'a|b2')
+})
@@ -0,0 +1,20 @@
+import { readFileSync } from 'node:fs'
+import { JSDOM } from 'jsdom'
+
+const source = readFileSync(new URL('../src/phoebe.js', import.meta.url), 'utf8')
+    .replace(/^export default Phoebe\s*$/m, 'window.Phoebe = Phoebe')
+
+/**
+ * a new window with phoebe.js loaded, as every window has its own custom element registry
+ * @param {string} html the content of the body
+ */
+export function createWindow(html) {
+    const { window } = new JSDOM(`<!DOCTYPE html><body>${html}</body>`, { runScripts: 'outside-only', pretendToBeVisual: true, url: 'http://localhost/' })
+    window.eval(source)
+    return window
+}
+
+/**
+ * @param {number} ms 
+ */
+export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
@@ -0,0 +1,73 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createWindow } from './helpers.js'
+
+/**
+ * a state with undo history
+ * @param {(window: any) => object} initialValues creates the values, collections must be of the window, e.g. `new window.Map()`
+ */
+function createState(initialValues) {
+    const window = createWindow('')
+    const state = window.Phoebe(initialValues(window), { history: true, scheduler: 'sync' })
+    return { window, state }
+}
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0))
+
+test('changes to objects reached through map.values() can be undone', async () => {
+    const { window, state } = createState(window => ({ m: new window.Map([['a', { x: 1 }]]) }))
+    for (const value of state.m.values()) value.x = 2
+    await nextTask()
+    assert.equal(state.$history.canUndo, true)
+    state.$history.undo()
+    assert.equal(state.m.get('a').x, 1)
+    window.close()
+})
+
+test('changes to objects in a set can be undone', async () => {
+    const { window, state } = createState(window => ({ s: new window.Set([{ x: 1 }]) }))
+    for (const value of state.s) value.x = 2
+    await nextTask()
+    state.s.forEach(value => value.x++)
+    await nextTask()
+    state.$history.undo()
+    state.$history.undo()
+    assert.deepEqual(Array.from(state.s, value => value.x), [1])
+    window.close()
+})
+
+test('changes to objects read before subscribing are sent', async () => {
+    const window = createWindow('')
+    const state = window.Phoebe({ todo: { done: false } }, { scheduler: 'sync' })
+    const todo = state.todo
+    const patches = []
+    state.$subscribe(p => patches.push(...p))
+    todo.done = true
+    await nextTask()
+    assert.equal(JSON.stringify(patches), JSON.stringify([{ op: 'replace', path: '/todo/done', value: true }]))
+    window.close()
+})
+
+test('typed arrays are restored', async () => {
+    const { window, state } = createState(window => ({ bytes: new window.Uint8Array(4) }))
+    state.bytes[1] = 7
+    state.bytes.fill(3, 2)
+    await nextTask()
+    state.$history.undo()
+    assert.deepEqual(Array.from(state.bytes), [0, 0, 0, 0])
+    window.close()
+})
+
+test('transactions wait for thenables', async () => {
+    const { window, state } = createState(() => ({ a: 0, b: 0 }))
+    const thenable = { then: resolve => setTimeout(resolve, 0) }
+    await state.$history.transaction(() => {
+        state.a = 1
+        return { then: (resolve, reject) => thenable.then(() => resolve(state.b = 1), reject) }
+    })
+    await nextTask()
+    state.$history.undo()
+    assert.deepEqual([state.a, state.b], [0, 0])
+    assert.equal(state.$history.canUndo, false)
+    window.close()
+})
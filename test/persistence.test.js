@@ -0,0 +1,29 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createWindow } from './helpers.js'
+
+/**
+ * @param {object} data the stored values by path
+ */
+function createStoredWindow(data) {
+    const window = createWindow('')
+    window.localStorage.setItem('app', JSON.stringify({ version: 1, data }))
+    window.console.warn = () => { }
+    return window
+}
+
+test('persisted paths are restored', () => {
+    const window = createStoredWindow({ 'settings.theme': 'dark', count: 3 })
+    const state = window.Phoebe({ settings: { theme: 'light' }, count: 0 }, { persist: { key: 'app', paths: ['settings.theme', 'count'] }, scheduler: 'sync' })
+    assert.equal(state.settings.theme, 'dark')
+    assert.equal(state.count, 3)
+    window.close()
+})
+
+test('nested paths without parent object are skipped', () => {
+    const window = createStoredWindow({ 'settings.theme': 'dark' })
+    const state = window.Phoebe({ settings: null, theme: 'unrelated' }, { persist: { key: 'app', paths: ['settings.theme'] }, scheduler: 'sync' })
+    assert.equal(state.settings, null)
+    assert.equal(state.theme, 'unrelated')
+    window.close()
+})
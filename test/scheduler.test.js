@@ -0,0 +1,46 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createWindow, sleep } from './helpers.js'
+
+test('the sync scheduler renders changes right away', () => {
+    const window = createWindow('<p><phoebe-text>${count}</phoebe-text></p>')
+    const state = window.Phoebe({ count: 1 }, { scheduler: 'sync' })
+    assert.equal(window.document.querySelector('p').textContent, '1')
+    state.count++
+    assert.equal(window.document.querySelector('p').textContent, '2')
+    window.close()
+})
+
+test('the sync scheduler renders elements added later', () => {
+    const window = createWindow('<div id="list"></div>')
+    const state = window.Phoebe({ name: 'Ann' }, { scheduler: 'sync' })
+    const text = window.document.createElement('phoebe-text')
+    text.textContent = 'Hello ${name}'
+    window.document.getElementById('list').appendChild(text)
+    assert.equal(text.textContent, 'Hello Ann')
+    state.name = 'Bob'
+    assert.equal(text.textContent, 'Hello Bob')
+    window.close()
+})
+
+test('the sync scheduler renders settled promises of <phoebe-await>', async () => {
+    const window = createWindow(`
+        <phoebe-await promise="load()">
+            <phoebe-pending>loading</phoebe-pending>
+            <phoebe-catch><phoebe-text>err \${error}</phoebe-text></phoebe-catch>
+        </phoebe-await>`)
+    window.Phoebe({ load: () => Promise.reject('offline') }, { scheduler: 'sync' })
+    await sleep(0)
+    assert.equal(window.document.querySelector('phoebe-catch').textContent.trim(), 'err offline')
+    window.close()
+})
+
+test('$nextTick() resolves with the sync scheduler', async () => {
+    const window = createWindow('<div id="list"></div>')
+    const state = window.Phoebe({ count: 1 }, { scheduler: 'sync' })
+    window.document.getElementById('list').appendChild(window.document.createElement('phoebe-text'))
+    state.count++
+    const result = await Promise.race([state.$nextTick().then(() => 'rendered'), sleep(100).then(() => 'timeout')])
+    assert.equal(result, 'rendered')
+    window.close()
+})
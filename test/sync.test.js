@@ -0,0 +1,61 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createWindow } from './helpers.js'
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0))
+
+/**
+ * @param {(window: any) => object} initialValues collections must be of the window, e.g. `new window.Set()`
+ * @param {(state: any) => void} change 
+ * @returns {Promise<any[]>} the patches of the change
+ */
+async function patchesOf(initialValues, change) {
+    const window = createWindow('')
+    const state = window.Phoebe(initialValues(window), { scheduler: 'sync' })
+    const patches = []
+    state.$subscribe(p => patches.push(...p))
+    change(state)
+    await nextTask()
+    window.close()
+    return JSON.parse(JSON.stringify(patches))
+}
+
+test('pushing to an array adds the item without a length patch', async () => {
+    const patches = await patchesOf(() => ({ items: ['a'] }), state => state.items.push('b'))
+    assert.deepEqual(patches, [{ op: 'add', path: '/items/1', value: 'b' }])
+})
+
+test('truncating an array removes the items from the end', async () => {
+    const patches = await patchesOf(() => ({ items: ['a', 'b', 'c'] }), state => state.items.length = 1)
+    assert.deepEqual(patches, [{ op: 'remove', path: '/items/2' }, { op: 'remove', path: '/items/1' }])
+})
+
+test('changes of objects in a set replace the set', async () => {
+    const patches = await patchesOf(window => ({ tags: new window.Set([{ name: 'a' }]) }), state => state.tags.forEach(tag => tag.name = 'b'))
+    assert.equal(patches.length, 1)
+    assert.equal(patches[0].op, 'replace')
+    assert.equal(patches[0].path, '/tags')
+})
+
+test('applied patches insert, append and remove array items', () => {
+    const window = createWindow('')
+    const state = window.Phoebe({ items: ['a', 'c'] }, { scheduler: 'sync' })
+    state.$applyPatch([
+        { op: 'add', path: '/items/1', value: 'b' },
+        { op: 'add', path: '/items/-', value: 'd' },
+        { op: 'remove', path: '/items/0' },
+        { op: 'replace', path: '/items/0', value: 'B' }
+    ])
+    assert.deepEqual(Array.from(state.items), ['B', 'c', 'd'])
+    window.close()
+})
+
+test('applied patches beyond the end of an array keep their index', async () => {
+    const patches = await patchesOf(() => ({ items: ['a'] }), state => state.items[3] = 'd')
+    const window = createWindow('')
+    const state = window.Phoebe({ items: ['a'] }, { scheduler: 'sync' })
+    state.$applyPatch(patches)
+    assert.equal(state.items.length, 4)
+    assert.equal(state.items[3], 'd')
+    window.close()
+})
@@ -0,0 +1,33 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createWindow } from './helpers.js'
+
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0))
+
+test('$watch passes the new and the old value', async () => {
+    const window = createWindow('')
+    const state = window.Phoebe({ count: 1 }, { scheduler: 'sync' })
+    const calls = []
+    state.$watch('count', (newValue, oldValue) => calls.push([newValue, oldValue]))
+    state.count = 2
+    await nextTask()
+    assert.deepEqual(calls, [[2, 1]])
+    window.close()
+})
+
+test('deep watchers get a copy of the old value', async () => {
+    const window = createWindow('')
+    const initialValues = window.JSON.parse('{ "items": [1, 2], "form": { "name": "Ann" } }')  // plain objects of the window
+    const state = window.Phoebe(initialValues, { scheduler: 'sync' })
+    const calls = []
+    state.$watch('items', (newValue, oldValue) => calls.push([Array.from(newValue), Array.from(oldValue)]), { deep: true })
+    state.$watch('form', (newValue, oldValue) => calls.push([newValue.name, oldValue.name]), { deep: true })
+    state.items.push(3)
+    state.form.name = 'Bob'
+    await nextTask()
+    assert.deepEqual(calls, [[[1, 2, 3], [1, 2]], ['Bob', 'Ann']])
+    state.items.push(4)
+    await nextTask()
+    assert.deepEqual(calls[2], [[1, 2, 3, 4], [1, 2, 3]])
+    window.close()
+})